@@ -1,13 +1,20 @@
+/* global __filename */
 import EventEmitter from 'events';
+import { getLogger } from 'jitsi-meet-logger';
 import { Strophe } from 'strophe.js';
 
 import JitsiConferenceEventManager from './JitsiConferenceEventManager';
 import JitsiParticipant from './JitsiParticipant';
+import authenticateAndUpgradeRole from './authenticateAndUpgradeRole';
 import RTC from './modules/RTC/RTC';
+import IceFailedHandling from './modules/connectivity/IceFailedHandling';
 import {
     FEATURE_JIGASI,
+    JITSI_MEET_MUC_TYPE
 } from './modules/xmpp/xmpp';
 
+const logger = getLogger(__filename);
+
 /**
  * Creates a JitsiConference object with the given name and properties.
  * Note: this constructor is not a part of the public API (objects should be
@@ -22,6 +29,23 @@ import {
  * calculated and submitted to the analytics module.
  * @param {boolean} [options.config.enableIceRestart=false] - enables the ICE
  * restart logic.
+ * @param {number} [options.config.iceFailedNotificationDelay=2000] how long
+ * (in ms) to wait for the JVB ICE connection to recover on its own, before
+ * restarting it. The delay is doubled with every consecutive restart.
+ * @param {number} [options.config.maxIceRestarts=3] how many times in a row
+ * the JVB ICE connection is restarted, before the conference fails with
+ * 'conference.iceFailed'.
+ * @param {Object} [options.config.roomConfig] the configuration applied to
+ * the MUC room when the local participant creates it.
+ * @param {number} [options.config.roomConfig.maxOccupants] the maximum number
+ * of participants.
+ * @param {boolean} [options.config.roomConfig.persistent] whether the room
+ * outlives its last participant.
+ * @param {boolean} [options.config.roomConfig.membersOnly] whether only the
+ * members of the room are allowed to join.
+ * @param {number} [options.config.maxFocusAllocationAttempts=10] how many
+ * times the conference is requested from Jicofo (with an exponential backoff)
+ * before the conference gives up with 'conference.focusNotAvailable'.
  * @param {boolean} [options.config.p2p.enabled] when set to <tt>true</tt>
  * the peer to peer mode will be enabled. It means that when there are only 2
  * participants in the conference an attempt to make direct connection will be
@@ -53,9 +77,17 @@ export default function JitsiConference(options) {
     this._init(options);
 
     this.jvbJingleSession = null;
-    // Conference properties, maintained by jicofo.
+    // Conference properties, maintained by jicofo and the room information
+    // published by the MUC (e.g. 'meetingId').
     this.properties = {};
 
+    /**
+     * Whether Jicofo requires the users to authenticate and the identity of
+     * the local user, as reported by Jicofo.
+     */
+    this.authEnabled = false;
+    this.authIdentity = undefined;
+
     /**
      * Flag set to <tt>true</tt> when P2P session has been established
      * (ICE has been connected) and this conference is currently in the peer to
@@ -65,6 +97,44 @@ export default function JitsiConference(options) {
     this.p2p = false;
     this.p2pJingleSession = null;
 
+    /**
+     * A delay given in seconds, before the conference switches back to P2P
+     * after the 3rd participant has left.
+     * @type {number}
+     */
+    this.backToP2PDelay = this.options.config.p2p
+        ? this.options.config.p2p.backToP2PDelay : 5;
+    if (typeof this.backToP2PDelay !== 'number' || isNaN(this.backToP2PDelay)) {
+        this.backToP2PDelay = 5;
+    }
+
+    /**
+     * The timeout which is set when the conference switches back to P2P after
+     * the 3rd participant has left (see {@link backToP2PDelay}).
+     * @type {number|null}
+     */
+    this.deferredStartP2PTask = null;
+
+    /**
+     * Indicates whether the ICE connection of the JVB / P2P session is
+     * currently interrupted.
+     * @type {boolean}
+     */
+    this.isJvbConnectionInterrupted = false;
+    this.isP2PConnectionInterrupted = false;
+
+    /**
+     * The number of consecutive JVB ICE restarts, reset once the connection
+     * has been restored.
+     * @type {number}
+     */
+    this._iceRestarts = 0;
+
+    /**
+     * The pending {@link IceFailedHandling} task for the JVB session.
+     * @type {IceFailedHandling|null}
+     */
+    this._delayedIceFailed = null;
 }
 
 // FIXME convert JitsiConference to ES6 - ASAP !
@@ -105,7 +175,508 @@ JitsiConference.prototype.join = function (password, replaceParticipant = false)
     if (this.room) {
         console.log("----------Join Room----------")
         this.room.join(password, replaceParticipant)
+            .catch(() => {
+                // The failure has already been reported with an event (e.g.
+                // 'conference.focusNotAvailable') or the conference was left
+            });
+    }
+};
+
+/**
+ * Returns the conference properties (see {@link properties}).
+ * @returns {Object}
+ */
+JitsiConference.prototype.getProperties = function () {
+    return this.properties;
+};
+
+/**
+ * Returns the unique ID of the meeting, assigned by the server.
+ * @returns {string|undefined}
+ */
+JitsiConference.prototype.getMeetingUniqueId = function () {
+    return this.room && this.room.getMeetingId();
+};
+
+/**
+ * Protects the conference with a password. Requires the local participant to
+ * be an owner of the room.
+ * @param {string} password the new password, the conference is unlocked when
+ * it's empty.
+ * @returns {Promise} resolved when the room configuration has been accepted,
+ * rejected with the error stanza or with 'conference.passwordNotSupported'.
+ */
+JitsiConference.prototype.lock = function (password) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference has been left'));
+    }
+
+    return new Promise((resolve, reject) => {
+        this.room.lockRoom(
+            password || '',
+            () => resolve(),
+            err => reject(err),
+            () => reject('conference.passwordNotSupported'));
+    });
+};
+
+/**
+ * Removes the password of the conference.
+ * @returns {Promise} see {@link lock}.
+ */
+JitsiConference.prototype.unlock = function () {
+    return this.lock();
+};
+
+/**
+ * Kicks a participant out of the conference. Requires the local participant
+ * to be a moderator.
+ * @param {string} id the id of the participant to kick
+ * @param {string} [reason] the reason delivered to the kicked participant
+ */
+JitsiConference.prototype.kickParticipant = function (id, reason) {
+    const participant = this.getParticipantById(id);
+
+    if (!participant) {
+        return;
+    }
+    this.room.kick(participant.getJid(), reason);
+};
+
+/**
+ * Makes a participant an owner (a moderator) of the room.
+ * @param {string} id the id of the participant
+ */
+JitsiConference.prototype.grantOwner = function (id) {
+    this._setAffiliation(id, 'owner');
+};
+
+/**
+ * Takes away the owner (moderator) rights of a participant.
+ * @param {string} id the id of the participant
+ */
+JitsiConference.prototype.revokeOwner = function (id) {
+    this._setAffiliation(id, 'none');
+};
+
+/**
+ * Changes the affiliation of a participant, which is set on its real JID.
+ * @param {string} id the id of the participant
+ * @param {string} affiliation the new affiliation
+ * @private
+ */
+JitsiConference.prototype._setAffiliation = function (id, affiliation) {
+    const participant = this.getParticipantById(id);
+    const member = participant && this.room.members[participant.getJid()];
+
+    if (!member || !member.jid) {
+        return;
+    }
+    this.room.setAffiliation(member.jid, affiliation);
+};
+
+/**
+ * Asks the focus to mute a participant. Requires the local participant to be
+ * a moderator.
+ * @param {string} id the id of the participant
+ * @param {string} [mediaType] 'audio' (the default) or 'video'
+ */
+JitsiConference.prototype.muteParticipant = function (id, mediaType) {
+    const muteMediaType = mediaType ? mediaType : 'audio';
+
+    if (muteMediaType !== 'audio' && muteMediaType !== 'video') {
+        throw new Error(`Invalid media type: ${mediaType}`);
+    }
+
+    const participant = this.getParticipantById(id);
+
+    if (!participant) {
+        return;
+    }
+    this.room.muteParticipant(participant.getJid(), true, muteMediaType);
+};
+
+/**
+ * Checks whether the room is members only, i.e. whether the lobby is enabled.
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isMembersOnly = function () {
+    return Boolean(this.room && this.room.membersOnlyEnabled);
+};
+
+/**
+ * Checks whether the server supports the lobby.
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isLobbySupported = function () {
+    return Boolean(this.room && this.room.getLobby()
+        && this.room.getLobby().isSupported());
+};
+
+/**
+ * Enables the lobby, by making the room members only. Only moderators can do
+ * it. The participants already in the room are kept as members.
+ * @returns {Promise} resolved once the room has been reconfigured
+ */
+JitsiConference.prototype.enableLobby = function () {
+    if (this.room && this.isModerator() && this.room.getLobby()) {
+        return this.room.getLobby().enable();
+    }
+
+    return Promise.reject(
+        new Error('The conference not started or user is not moderator'));
+};
+
+/**
+ * Disables the lobby, by making the room open again. Only moderators can do
+ * it.
+ * @returns {Promise} resolved once the room has been reconfigured
+ */
+JitsiConference.prototype.disableLobby = function () {
+    if (this.room && this.isModerator() && this.room.getLobby()) {
+        return this.room.getLobby().disable();
+    }
+
+    return Promise.reject(
+        new Error('The conference not started or user is not moderator'));
+};
+
+/**
+ * Joins the lobby room of a members only room, to wait there until a
+ * moderator lets us in. To be used after the conference failed with
+ * 'conference.membersOnly'. Once access is granted the conference is joined
+ * and 'conference.joined' is emitted, while a denied access results in
+ * 'conference.failed' with 'conference.conferenceAccessDenied'.
+ * @param {string} displayName the display name shown to the moderators
+ * @param {string} [email] the email shown to the moderators
+ * @returns {Promise} resolved once the lobby room is joined
+ */
+JitsiConference.prototype.joinLobby = function (displayName, email) {
+    if (this.room && this.room.getLobby()) {
+        return this.room.getLobby().join(displayName, email);
+    }
+
+    return Promise.reject(new Error('The conference not started'));
+};
+
+/**
+ * Returns the participants waiting in the lobby. Only moderators see them.
+ * @returns {Array<Object>} the id and the display name of each of them
+ */
+JitsiConference.prototype.getLobbyMembers = function () {
+    if (this.room && this.room.getLobby()) {
+        return this.room.getLobby().getLobbyMembers();
+    }
+
+    return [];
+};
+
+/**
+ * Denies an occupant of the lobby access to the conference. Only moderators
+ * can do it.
+ * @param {string} id the id of the participant waiting in the lobby
+ */
+JitsiConference.prototype.lobbyDenyAccess = function (id) {
+    if (this.room && this.room.getLobby()) {
+        this.room.getLobby().denyAccess(id);
+    }
+};
+
+/**
+ * Lets an occupant of the lobby into the conference. Only moderators can do
+ * it.
+ * @param {string} id the id of the participant waiting in the lobby
+ */
+JitsiConference.prototype.lobbyApproveAccess = function (id) {
+    if (this.room && this.room.getLobby()) {
+        this.room.getLobby().approveAccess(id);
+    }
+};
+
+/**
+ * Selects a new value for "lastN". The requested amount of videos are going
+ * to be delivered after the value is in effect. Set to -1 for unlimited or
+ * all available videos.
+ * @param lastN the new number of videos the user would like to receive.
+ * @throws Error or TypeError if the given value is not a number or is smaller
+ * than -1.
+ */
+JitsiConference.prototype.setLastN = function (lastN) {
+    if (typeof lastN !== 'number' || !Number.isInteger(lastN)) {
+        throw new Error(`Invalid value for lastN: ${lastN}`);
+    }
+
+    if (lastN < -1) {
+        throw new RangeError('lastN cannot be smaller than -1');
+    }
+    this.rtc.setLastN(lastN);
+};
+
+/**
+ * Sets the video the local participant wants to receive: how many videos, which
+ * endpoints are selected or on stage and the max resolution wanted from each
+ * of them. The constraints are sent to the bridge as 'ReceiverVideoConstraints'
+ * and the max frame height wanted from the remote peer is sent to it when in
+ * P2P mode.
+ * @param {Object} videoConstraints the receiver video constraints
+ * @param {number} [videoConstraints.lastN] the number of videos to receive,
+ * -1 for all
+ * @param {Array<string>} [videoConstraints.selectedEndpoints] the endpoints
+ * to be prioritized
+ * @param {Array<string>} [videoConstraints.onStageEndpoints] the endpoints
+ * displayed in high resolution
+ * @param {Object} [videoConstraints.defaultConstraints] the constraints for
+ * the endpoints without their own, e.g. <tt>{ maxHeight: 180 }</tt>
+ * @param {Object} [videoConstraints.constraints] the constraints by endpoint
+ * id, e.g. <tt>{ 'abcd1234': { maxHeight: 720 } }</tt>
+ * @throws {TypeError} if the constraints are not an object
+ */
+JitsiConference.prototype.setReceiverConstraints = function (videoConstraints) {
+    if (!videoConstraints || typeof videoConstraints !== 'object') {
+        throw new TypeError(`Invalid video constraints: ${videoConstraints}`);
+    }
+
+    this._receiverVideoConstraints = videoConstraints;
+    this.rtc.setReceiverVideoConstraints(videoConstraints);
+
+    if (this.p2pJingleSession) {
+        this._setP2PReceiverConstraint(this.p2pJingleSession);
+    }
+};
+
+/**
+ * Tells the remote peer of a P2P session the max frame height we want to
+ * receive from it, according to the receiver constraints.
+ * @param {JingleSessionPC} p2pSession the P2P session
+ * @private
+ */
+JitsiConference.prototype._setP2PReceiverConstraint = function (p2pSession) {
+    if (!this._receiverVideoConstraints) {
+        return;
+    }
+
+    const { constraints = {}, defaultConstraints = {} }
+        = this._receiverVideoConstraints;
+    const remoteId = Strophe.getResourceFromJid(p2pSession.remoteJid);
+    const endpointConstraints = constraints[remoteId] || defaultConstraints;
+
+    if (typeof endpointConstraints.maxHeight === 'number') {
+        p2pSession.setReceiverVideoConstraint(endpointConstraints.maxHeight);
+    }
+};
+
+/**
+ * Handles the sender video constraints requested by the bridge and caps the
+ * resolution sent on the JVB connection accordingly.
+ * @param {Object} videoConstraints the constraints from the bridge
+ * @param {number} videoConstraints.idealHeight the max frame height the
+ * bridge wants from us
+ */
+JitsiConference.prototype.onSenderVideoConstraintsChanged = function (videoConstraints) {
+    const { idealHeight } = videoConstraints;
+
+    if (typeof idealHeight !== 'number' || !this.jvbJingleSession) {
+        return;
+    }
+
+    this.jvbJingleSession.peerconnection.setSenderVideoConstraint(idealHeight)
+        .catch(error => {
+            logger.error(`Failed to set the sender video constraint to ${idealHeight}`, error);
+        });
+};
+
+/**
+ * Handles the max frame height the remote peer of a P2P session wants to
+ * receive and caps the resolution sent on the P2P connection accordingly. The
+ * cap is removed when the remote peer no longer sends a constraint.
+ * @param {JingleSessionPC} session the session whose remote peer has changed
+ * its constraint
+ */
+JitsiConference.prototype.onRemoteVideoConstraintsChanged = function (session) {
+    if (session !== this.p2pJingleSession) {
+        return;
+    }
+
+    const { remoteRecvMaxFrameHeight } = session;
+    const maxFrameHeight
+        = typeof remoteRecvMaxFrameHeight === 'number' ? remoteRecvMaxFrameHeight : Infinity;
+
+    session.peerconnection.setSenderVideoConstraint(maxFrameHeight)
+        .catch(error => {
+            logger.error(`Failed to set the sender video constraint to ${maxFrameHeight}`, error);
+        });
+};
+
+/**
+ * Checks if the participant given by participantId is currently included in
+ * the last N.
+ * @param {string} participantId the identifier of the participant
+ * @returns {boolean} true if the participant given by participantId is
+ * currently included in the last N
+ */
+JitsiConference.prototype.isInLastN = function (participantId) {
+    return this.rtc.isInLastN(participantId);
+};
+
+/**
+ * Handles a change of the dominant speaker reported by the bridge.
+ * @param {string} id the id of the new dominant speaker
+ * @param {Array<string>} previousSpeakers the ids of the previous speakers
+ */
+JitsiConference.prototype.onDominantSpeakerChanged = function (id, previousSpeakers) {
+    if (this.lastDominantSpeaker !== id) {
+        this.lastDominantSpeaker = id;
+        this.eventEmitter.emit(
+            'conference.dominantSpeakerChanged', id, previousSpeakers);
+    }
+};
+
+/**
+ * Handles a change of the connectivity of a participant with the bridge.
+ * @param {string} id the id of the participant
+ * @param {boolean} isActive whether the bridge receives media from it
+ */
+JitsiConference.prototype.onEndpointConnStatusChanged = function (id, isActive) {
+    const participant = this.getParticipantById(id);
+    const status = isActive ? 'active' : 'interrupted';
+
+    if (!participant || participant._connectionStatus === status) {
+        return;
+    }
+
+    participant._connectionStatus = status;
+    this.eventEmitter.emit(
+        'conference.participantConnectionStatusChanged', id, status);
+};
+
+/**
+ * Handles a request from the focus to mute our local tracks of the given
+ * media type. Emits 'conference.participantMuted' once they are muted.
+ * @param {string} mediaType 'audio' or 'video'
+ * @param {string} actor the MUC JID of the participant which asked for it
+ */
+JitsiConference.prototype.onMutedByFocus = function (mediaType, actor) {
+    const actorParticipant
+        = actor && this.getParticipantById(Strophe.getResourceFromJid(actor));
+
+    Promise.all(this.getLocalTracks(mediaType).map(track => track.mute()))
+        .then(() => {
+            this.eventEmitter.emit(
+                'conference.participantMuted',
+                this.myUserId(),
+                mediaType,
+                actorParticipant);
+        })
+        .catch(error => {
+            logger.error(`Failed to mute ${mediaType} on focus request`, error);
+        });
+};
+
+/**
+ * Authenticates the local participant through a separate XMPP connection and
+ * makes Jicofo upgrade its role (typically to moderator). Used when the
+ * conference emits 'conference.authenticationRequired'.
+ *
+ * @param {Object} options
+ * @param {string} options.id - The XMPP user's ID to log in. For example,
+ * user@xmpp-server.com.
+ * @param {string} options.password - The XMPP user's password to log in with.
+ * @param {Function} [options.onLoginSuccessful] - Callback called when logging
+ * into the XMPP server was successful.
+ * @returns {Thenable<void>} - A promise-like object with a {@code cancel}
+ * method.
+ */
+JitsiConference.prototype.authenticate = function (options) {
+    return authenticateAndUpgradeRole.call(this, options);
+};
+
+/**
+ * Returns the URL of the external authentication service, to which the user
+ * is to be redirected (or which is to be opened in a popup window).
+ * @param {boolean} [urlForPopup] - Whether the URL will be opened in a popup.
+ * @returns {Promise<string>}
+ */
+JitsiConference.prototype.getExternalAuthUrl = function (urlForPopup) {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference has been left'));
+    }
+
+    return this.room.moderator.getLoginUrl(urlForPopup);
+};
+
+/**
+ * Tells whether Jicofo uses an external authentication service.
+ * @returns {boolean}
+ */
+JitsiConference.prototype.isExternalAuthEnabled = function () {
+    return Boolean(this.room && this.room.moderator.isExternalAuthEnabled());
+};
+
+/**
+ * Ends the authenticated session of the local user with Jicofo.
+ * @returns {Promise<string|undefined>} resolved with the logout URL of the
+ * external authentication service, if any.
+ */
+JitsiConference.prototype.logout = function () {
+    if (!this.room) {
+        return Promise.reject(new Error('The conference has been left'));
+    }
+
+    return this.room.moderator.logout();
+};
+
+/**
+ * Leaves the conference: closes the JVB and P2P Jingle sessions together with
+ * their peer connections, sends unavailable presence to the MUC and releases
+ * the listeners registered by this conference.
+ * @returns {Promise} resolved once the conference has been left and torn down.
+ */
+JitsiConference.prototype.leave = function () {
+    this._clearDeferredStartP2P();
+    this._cancelDelayedIceFailed();
+
+    // Close both JVB and P2P JingleSessions
+    if (this.jvbJingleSession) {
+        this.jvbJingleSession.close();
+        this.jvbJingleSession = null;
     }
+    if (this.p2pJingleSession) {
+        this.p2pJingleSession.close();
+        this.p2pJingleSession = null;
+    }
+    this.p2p = false;
+
+    // Remove the local tracks from the conference, but don't dispose them.
+    this.getLocalTracks().forEach(track => this.onLocalTrackRemoved(track));
+
+    // leave the conference
+    if (this.room) {
+        const room = this.room;
+
+        this.eventManager.removeXMPPListeners();
+        this.room = null;
+
+        const teardown = () => {
+            this.eventManager.removeChatRoomListeners(room);
+            this.rtc.destroy();
+            this.eventManager.removeRTCListeners();
+            this.participants = {};
+        };
+
+        return room.leave()
+            .then(() => {
+                teardown();
+                this.eventEmitter.emit('conference.left');
+            }, error => {
+                teardown();
+
+                throw error;
+            });
+    }
+
+    // If this.room == null we are calling second time leave().
+    return Promise.reject(
+        new Error('The conference has been already left'));
 };
 
 JitsiConference.prototype.on = function (eventId, handler) {
@@ -132,6 +703,74 @@ JitsiConference.prototype.off = function (eventId, handler) {
 JitsiConference.prototype.addEventListener = JitsiConference.prototype.on;
 JitsiConference.prototype.removeEventListener = JitsiConference.prototype.off;
 
+/**
+ * Returns the local tracks of the given media type, or all local tracks if no
+ * specific type is given.
+ * @param {string} [mediaType] Optional media type filter ('audio' or 'video').
+ * @returns {Array<JitsiLocalTrack>}
+ */
+JitsiConference.prototype.getLocalTracks = function (mediaType) {
+    let tracks = [];
+
+    if (this.rtc) {
+        tracks = this.rtc.getLocalTracks(mediaType);
+    }
+
+    return tracks;
+};
+
+/**
+ * Obtains local audio track.
+ * @return {JitsiLocalTrack|null}
+ */
+JitsiConference.prototype.getLocalAudioTrack = function () {
+    return this.getLocalTracks('audio')[0] || null;
+};
+
+/**
+ * Obtains local video track.
+ * @return {JitsiLocalTrack|null}
+ */
+JitsiConference.prototype.getLocalVideoTrack = function () {
+    return this.getLocalTracks('video')[0] || null;
+};
+
+/**
+ * Adds JitsiLocalTrack object to the conference. There can be only one local
+ * track of each media type in the conference.
+ * @param {JitsiLocalTrack} track the JitsiLocalTrack object.
+ * @returns {Promise<JitsiLocalTrack>}
+ * @throws {Error} if the specified track is a video track and there is
+ * already another video track in the conference.
+ */
+JitsiConference.prototype.addTrack = function (track) {
+    const mediaType = track.getType();
+    const localTracks = this.getLocalTracks(mediaType);
+
+    // Ensure there's exactly 1 local track of each media type in the conference.
+    if (localTracks.length > 0) {
+        // Don't throw an error since it's the same track.
+        if (track === localTracks[0]) {
+            return Promise.resolve(track);
+        }
+
+        return Promise.reject(new Error(
+            `cannot add second ${mediaType} track to the conference`));
+    }
+
+    return this.replaceTrack(null, track).then(() => track);
+};
+
+/**
+ * Removes JitsiLocalTrack from the conference and performs
+ * a new offer/answer cycle.
+ * @param {JitsiLocalTrack} track
+ * @returns {Promise}
+ */
+JitsiConference.prototype.removeTrack = function (track) {
+    return this.replaceTrack(track, null);
+};
+
 /**
  * Replaces oldTrack with newTrack and performs a single offer/answer
  *  cycle after both operations are done.  Either oldTrack or newTrack
@@ -145,6 +784,8 @@ JitsiConference.prototype.replaceTrack = function (oldTrack, newTrack) {
     // Now replace the stream at the lower levels
     return this._doReplaceTrack(oldTrack, newTrack)
         .then(() => {
+            let presenceChanged = false;
+
             if (oldTrack) {
                 this.onLocalTrackRemoved(oldTrack);
             }
@@ -153,11 +794,22 @@ JitsiConference.prototype.replaceTrack = function (oldTrack, newTrack) {
             if (newTrack) {
                 // Now handle the addition of the newTrack at the JitsiConference level
                 this._setupNewTrack(newTrack);
-                newTrack.isVideoTrack() && this.rtc.setVideoType(newTrack.getVideoType());
-            } else {
-                oldTrack && oldTrack.isVideoTrack() && this.rtc.setVideoType('none');
+                if (newTrack.isVideoTrack()) {
+                    this.rtc.setVideoType(newTrack.getVideoType());
+                    presenceChanged = this._setNewVideoType(newTrack);
+                }
+                presenceChanged = this._setTrackMuteStatus(newTrack.getType(), newTrack.isMuted())
+                    || presenceChanged;
+            } else if (oldTrack) {
+                if (oldTrack.isVideoTrack()) {
+                    this.rtc.setVideoType('none');
+                    presenceChanged = this._setNewVideoType(null);
+                }
+                presenceChanged = this._setTrackMuteStatus(oldTrack.getType(), true)
+                    || presenceChanged;
             }
 
+            presenceChanged && this.room && this.room.sendPresence();
 
             return Promise.resolve();
         })
@@ -197,19 +849,169 @@ JitsiConference.prototype._doReplaceTrack = function (oldTrack, newTrack) {
  * @param {JitsiLocalTrack} newTrack the new track being created
  */
 JitsiConference.prototype._setupNewTrack = function (newTrack) {
-    if (newTrack.isAudioTrack() || (newTrack.isVideoTrack()
-        && newTrack.videoType !== 'desktop')) {
-        // Report active device to statistics
-        const devices = RTC.getCurrentlyAvailableMediaDevices();
-    }
     this.rtc.addLocalTrack(newTrack);
 
+    newTrack.muteHandler = this._fireMuteChangeEvent.bind(this, newTrack);
+    newTrack.addEventListener('track.trackMuteChanged', newTrack.muteHandler);
 
     newTrack._setConference(this);
 
     this.eventEmitter.emit('conference.trackAdded', newTrack);
 };
 
+/**
+ * Emits 'conference.trackMuteChanged' for the given local track.
+ * @param {JitsiLocalTrack} track the track whose mute state has changed
+ * @private
+ */
+JitsiConference.prototype._fireMuteChangeEvent = function (track) {
+    this.eventEmitter.emit('conference.trackMuteChanged', track);
+};
+
+/**
+ * Sets the video type of the local video track in the presence map.
+ * @param {JitsiLocalTrack|null} track the local video track or <tt>null</tt>
+ * if there is none
+ * @returns {boolean} <tt>true</tt> if the presence map has changed and
+ * presence needs to be sent.
+ * @private
+ */
+JitsiConference.prototype._setNewVideoType = function (track) {
+    if (!this.room) {
+        return false;
+    }
+
+    const videoType = track ? track.getVideoType() : 'camera';
+
+    return this.room.addOrReplaceInPresence('videoType', { value: videoType });
+};
+
+/**
+ * Sets the mute status of the local track of the given media type in the
+ * presence map.
+ * @param {string} mediaType 'audio' or 'video'
+ * @param {boolean} isMuted the new mute state
+ * @returns {boolean} <tt>true</tt> if the presence map has changed and
+ * presence needs to be sent.
+ * @private
+ */
+JitsiConference.prototype._setTrackMuteStatus = function (mediaType, isMuted) {
+    if (!this.room) {
+        return false;
+    }
+
+    if (mediaType === 'audio') {
+        return this.room.addAudioInfoToPresence(isMuted);
+    }
+
+    return this.room.addVideoInfoToPresence(isMuted);
+};
+
+/**
+ * Adds back the previously muted local track to the peer connections, so that
+ * a 'source-add' is sent to the remote side.
+ * @param {JitsiLocalTrack} track the local track being unmuted
+ * @returns {Promise}
+ * @private
+ */
+JitsiConference.prototype._addLocalTrackAsUnmute = function (track) {
+    const addAsUnmutePromises = [];
+
+    if (this.jvbJingleSession) {
+        addAsUnmutePromises.push(this.jvbJingleSession.addTrackAsUnmute(track));
+    }
+    if (this.p2pJingleSession) {
+        addAsUnmutePromises.push(this.p2pJingleSession.addTrackAsUnmute(track));
+    }
+
+    return Promise.all(addAsUnmutePromises);
+};
+
+/**
+ * Removes the local track which is being muted from the peer connections, so
+ * that a 'source-remove' is sent to the remote side.
+ * @param {JitsiLocalTrack} track the local track being muted
+ * @returns {Promise}
+ * @private
+ */
+JitsiConference.prototype._removeLocalTrackAsMute = function (track) {
+    const removeAsMutePromises = [];
+
+    if (this.jvbJingleSession) {
+        removeAsMutePromises.push(this.jvbJingleSession.removeTrackAsMute(track));
+    }
+    if (this.p2pJingleSession) {
+        removeAsMutePromises.push(this.p2pJingleSession.removeTrackAsMute(track));
+    }
+
+    return Promise.all(removeAsMutePromises);
+};
+
+/**
+ * Sends text message to the other participants in the conference
+ * @param message the text message.
+ * @param elementName the element name to encapsulate the message.
+ */
+JitsiConference.prototype.sendTextMessage = function (
+        message, elementName = 'body') {
+    if (this.room) {
+        this.room.sendMessage(message, elementName);
+    }
+};
+
+/**
+ * Send private text message to another participant of the conference
+ * @param id the id of the participant to send a private message.
+ * @param message the text message.
+ * @param elementName the element name to encapsulate the message.
+ */
+JitsiConference.prototype.sendPrivateTextMessage = function (
+        id, message, elementName = 'body') {
+    if (this.room) {
+        this.room.sendPrivateMessage(id, message, elementName);
+    }
+};
+
+/**
+ * Sends a JSON payload to the participant with the given id or, when no id is
+ * given, to all the participants of the conference. The payload travels over
+ * the MUC as a 'json-message' and is received by the other side as
+ * 'conference.endpoint_message_received'.
+ * @param {string} to the id of the participant or an empty string to
+ * broadcast the message.
+ * @param {object} payload the JSON payload to send.
+ */
+JitsiConference.prototype.sendEndpointMessage = function (to, payload) {
+    if (!payload || typeof payload !== 'object') {
+        throw new Error('The endpoint message payload must be an object');
+    }
+
+    // Mark as valid JSON message if not already
+    const message = payload.hasOwnProperty(JITSI_MEET_MUC_TYPE)
+        ? payload
+        : { ...payload,
+            [JITSI_MEET_MUC_TYPE]: '' };
+    const messageToSend = JSON.stringify(message);
+
+    if (to) {
+        this.sendPrivateTextMessage(to, messageToSend, 'json-message');
+    } else {
+        this.sendTextMessage(messageToSend, 'json-message');
+    }
+};
+
+/**
+ * Operations related to removing a local track from the conference.
+ * @param {JitsiLocalTrack} track the local track which has been removed
+ */
+JitsiConference.prototype.onLocalTrackRemoved = function (track) {
+    track._setConference(null);
+    this.rtc.removeLocalTrack(track);
+    track.removeEventListener('track.trackMuteChanged', track.muteHandler);
+
+    this.eventEmitter.emit('conference.trackRemoved', track);
+};
+
 /**
  * @return Array<JitsiParticipant> an array of all participants in this
  * conference.
@@ -227,43 +1029,192 @@ JitsiConference.prototype.getParticipantById = function (id) {
 };
 
 /**
- * Notifies this JitsiConference that a new member has joined its chat room.
- *
- * FIXME This should NOT be exposed!
+ * Notifies this JitsiConference that a new member has joined its chat room.
+ *
+ * FIXME This should NOT be exposed!
+ *
+ * @param jid the jid of the participant in the MUC
+ * @param nick the display name of the participant
+ * @param role the role of the participant in the MUC
+ * @param isHidden indicates if this is a hidden participant (system
+ * participant for example a recorder).
+ * @param statsID the participant statsID (optional)
+ * @param status the initial status if any
+ * @param identity the member identity, if any
+ * @param botType the member botType, if any
+ * @param fullJid the member full jid, if any
+ * @param features the member botType, if any
+ * @param isReplaceParticipant whether this join replaces a participant with
+ * the same jwt.
+ */
+JitsiConference.prototype.onMemberJoined = function (
+    jid, nick, role, isHidden, statsID, status, identity, botType, fullJid, features, isReplaceParticipant) {
+    const id = Strophe.getResourceFromJid(jid);
+
+    if (id === 'focus' || this.myUserId() === id) {
+        return;
+    }
+
+    const participant
+        = new JitsiParticipant(jid, this, nick, isHidden, statsID, status, identity);
+
+    participant.setRole(role);
+    this.participants[id] = participant;
+    console.log("----------Emit User Joined---------")
+    this.eventEmitter.emit('conference.userJoined',id,participant);
+
+    // maybeStart only if we had finished joining as then we will have information for the number of participants
+    if (this.room && this.room.joined) {
+        this._maybeStartOrStopP2P();
+    }
+};
+
+/**
+ * Handles a role change of a remote participant.
+ * @param {string} jid the MUC JID of the participant
+ * @param {string} role the new role of the participant
+ */
+JitsiConference.prototype.onUserRoleChanged = function (jid, role) {
+    const id = Strophe.getResourceFromJid(jid);
+    const participant = this.getParticipantById(id);
+
+    if (!participant) {
+        return;
+    }
+
+    participant.setRole(role);
+    this.eventEmitter.emit('conference.userRoleChanged', id, role);
+};
+
+/**
+ * Handles a role change of the local participant.
+ * @param {string} role the new role of the local participant
+ */
+JitsiConference.prototype.onLocalRoleChanged = function (role) {
+    this.eventEmitter.emit('conference.userRoleChanged', this.myUserId(), role);
+};
+
+/**
+ * Checks if the local participant is a moderator.
+ * @returns {boolean|null} true if the local participant is a moderator, false
+ * if it is not and null if the conference has no room.
+ */
+JitsiConference.prototype.isModerator = function () {
+    return this.room ? this.room.isModerator() : null;
+};
+
+/**
+ * Returns the role of the local participant.
+ * @returns {string|null} the role ('moderator', 'participant', 'visitor' or
+ * 'none') or null if the conference has no room.
+ */
+JitsiConference.prototype.getRole = function () {
+    return this.room ? this.room.role : null;
+};
+
+/**
+ * Updates the display name of a participant and emits
+ * 'conference.displayNameChanged' if it has changed.
+ * @param {string} jid the MUC JID of the participant
+ * @param {string} displayName the display name from the presence
+ */
+JitsiConference.prototype.onDisplayNameChanged = function (jid, displayName) {
+    const id = Strophe.getResourceFromJid(jid);
+    const participant = this.getParticipantById(id);
+
+    if (!participant || participant._displayName === displayName) {
+        return;
+    }
+
+    const oldDisplayName = participant._displayName;
+
+    participant._displayName = displayName;
+    this.eventEmitter.emit(
+        'conference.displayNameChanged', id, displayName, oldDisplayName);
+};
+
+/**
+ * Sets the display name of the local participant.
+ * @param {string} name the display name
+ */
+JitsiConference.prototype.setDisplayName = function (name) {
+    if (this.room) {
+        const nickKey = 'nick';
+
+        // if there is no display name already set, avoid setting an empty one
+        if (!name && !this.room.getFromPresence(nickKey)) {
+            return;
+        }
+
+        this.room.addOrReplaceInPresence(nickKey, {
+            attributes: { xmlns: 'http://jabber.org/protocol/nick' },
+            value: name
+        }) && this.room.sendPresence();
+    }
+};
+
+/**
+ * Notifies this JitsiConference that a member has left its chat room. Removes
+ * the participant together with its remote tracks.
  *
  * @param jid the jid of the participant in the MUC
- * @param nick the display name of the participant
- * @param role the role of the participant in the MUC
- * @param isHidden indicates if this is a hidden participant (system
- * participant for example a recorder).
- * @param statsID the participant statsID (optional)
- * @param status the initial status if any
- * @param identity the member identity, if any
- * @param botType the member botType, if any
- * @param fullJid the member full jid, if any
- * @param features the member botType, if any
- * @param isReplaceParticipant whether this join replaces a participant with
- * the same jwt.
  */
-JitsiConference.prototype.onMemberJoined = function (
-    jid, nick, role, isHidden, statsID, status, identity, botType, fullJid, features, isReplaceParticipant) {
+JitsiConference.prototype.onMemberLeft = function (jid) {
     const id = Strophe.getResourceFromJid(jid);
 
     if (id === 'focus' || this.myUserId() === id) {
         return;
     }
 
-    const participant
-        = new JitsiParticipant(jid, this, nick, isHidden, statsID, status, identity);
+    const participant = this.participants[id];
 
-    this.participants[id] = participant;
-    console.log("----------Emit User Joined---------")
-    this.eventEmitter.emit('conference.userJoined',id,participant);
+    delete this.participants[id];
 
-    // maybeStart only if we had finished joining as then we will have information for the number of participants
-    if (this.room && this.room.joined) {
-        this._maybeStartOrStopP2P();
+    const removedTracks = this.rtc.removeRemoteTracks(id);
+
+    removedTracks.forEach(
+        track => this.eventEmitter.emit('conference.trackRemoved', track));
+
+    // there can be no participant in case the member that left is focus
+    if (participant) {
+        this.eventEmitter.emit('conference.userLeft', id, participant);
+    }
+
+    if (this.room !== null) {
+        this._maybeStartOrStopP2P(true /* triggered by user left event */);
+    }
+};
+
+/**
+ * Designates an event indicating that we were kicked from the XMPP MUC or that
+ * another participant was kicked.
+ * @param {boolean} isSelfPresence - whether it is for local participant
+ * or another participant.
+ * @param {string} actorId - the id of the participant who was initiator
+ * of the kick.
+ * @param {string?} kickedParticipantId - when it is not a kick for local
+ * participant, this is the id of the participant which was kicked.
+ */
+JitsiConference.prototype.onMemberKicked = function (
+        isSelfPresence,
+        actorId,
+        kickedParticipantId) {
+    const actorParticipant = this.participants[actorId];
+
+    if (isSelfPresence) {
+        this.eventEmitter.emit('conference.kicked', actorParticipant);
+
+        // The app may have left already from its 'conference.kicked' listener
+        this.room
+            && this.leave().catch(error => logger.warn('Failed to leave after being kicked', error));
+
+        return;
     }
+
+    const kickedParticipant = this.participants[kickedParticipantId];
+
+    this.eventEmitter.emit(
+        'conference.participant_kicked', actorParticipant, kickedParticipant);
 };
 
 /**
@@ -311,6 +1262,32 @@ JitsiConference.prototype.onRemoteTrackAdded = function (track) {
     emitter.emit('conference.trackAdded', track);
 };
 
+/**
+ * Callback called by the RTC module when a remote track has been removed.
+ * @param {JitsiRemoteTrack} removedTrack
+ */
+JitsiConference.prototype.onRemoteTrackRemoved = function (removedTrack) {
+    this.getParticipants().forEach(participant => {
+        const tracks = participant.getTracks();
+
+        for (let i = 0; i < tracks.length; i++) {
+            if (tracks[i] === removedTrack) {
+                // Since the tracks have been compared and are
+                // considered equal the result of splice can be ignored.
+                participant._tracks.splice(i, 1);
+
+                this.eventEmitter.emit('conference.trackRemoved', removedTrack);
+
+                if (this.transcriber) {
+                    this.transcriber.removeTrack(removedTrack);
+                }
+
+                break;
+            }
+        }
+    });
+};
+
 /**
  * Callback called by the Jingle plugin when 'session-answer' is received.
  * @param {JingleSessionPC} session the Jingle session for which an answer was
@@ -338,12 +1315,123 @@ JitsiConference.prototype.onTransportInfo = function (session, transportInfo) {
         this.p2pJingleSession.addIceCandidates(transportInfo);
     }
 };
+/**
+ * Opens the bridge channel of the JVB session: over the colibri WebSocket
+ * when the bridge advertises one in the offer, otherwise over the SCTP data
+ * channel if one has been negotiated.
+ * @param {jQuery} offerIq a jQuery selector pointing to the 'jingle' element
+ * of the offer
+ * @param {TraceablePeerConnection} pc the JVB peer connection
+ * @private
+ */
+JitsiConference.prototype._setBridgeChannel = function (offerIq, pc) {
+    const webSocket = offerIq.find('>content>transport>web-socket').first();
+
+    if (webSocket.length === 1 && webSocket.attr('url')) {
+        this.rtc.initializeBridgeChannel(null, webSocket.attr('url'));
+    } else if (offerIq.find('>content>transport>sctpmap').length) {
+        this.rtc.initializeBridgeChannel(pc.peerconnection, null);
+    } else {
+        logger.warn('Neither a colibri WebSocket nor SCTP offered by the bridge, no bridge channel');
+    }
+};
+
 /**
  * Handles an incoming call event.
  */
 JitsiConference.prototype.onIncomingCall = function (jingleSession, jingleOffer, now) {
     console.log("---------On Incoming call---------")
-    this._acceptJvbIncomingCall(jingleSession, jingleOffer);
+    if (jingleSession.isP2P) {
+        this._onIncomingCallP2P(jingleSession, jingleOffer);
+    } else {
+        this._acceptJvbIncomingCall(jingleSession, jingleOffer);
+    }
+};
+
+/**
+ * Handles an incoming call event for the P2P jingle session. The call is
+ * rejected if the conference is not supposed to be in the P2P mode.
+ * @param {JingleSessionPC} jingleSession the session instance
+ * @param {jQuery} jingleOffer a jQuery selector pointing to 'jingle' IQ element
+ * @private
+ */
+JitsiConference.prototype._onIncomingCallP2P = function (jingleSession, jingleOffer) {
+    let rejectReason;
+
+    if (!this.isP2PEnabled()) {
+        rejectReason = {
+            reason: 'decline',
+            reasonDescription: 'P2P disabled'
+        };
+    } else if (this.p2pJingleSession) {
+        // Reject incoming P2P call (already in progress)
+        rejectReason = {
+            reason: 'busy',
+            reasonDescription: 'P2P already in progress'
+        };
+    } else if (!this._shouldBeInP2PMode()) {
+        rejectReason = {
+            reason: 'decline',
+            reasonDescription: 'P2P requirements not met'
+        };
+    }
+
+    if (rejectReason) {
+        this._rejectIncomingCall(jingleSession, rejectReason);
+    } else {
+        this._acceptP2PIncomingCall(jingleSession, jingleOffer);
+    }
+};
+
+/**
+ * Rejects incoming Jingle call.
+ * @param {JingleSessionPC} jingleSession the session instance to be rejected.
+ * @param {object} [options]
+ * @param {string} options.reason the name of the reason element as defined
+ * by Jingle
+ * @param {string} options.reasonDescription the reason description which
+ * will be included in Jingle 'session-terminate' message.
+ * @private
+ */
+JitsiConference.prototype._rejectIncomingCall = function (jingleSession, options) {
+    // Terminate the jingle session with a reason
+    jingleSession.terminate(
+        null /* success callback => we don't care */,
+        null /* error callback => we don't care */,
+        {
+            reason: options.reason,
+            reasonDescription: options.reasonDescription
+        });
+};
+
+/**
+ * Handles the call ended event. The session has been closed already by the
+ * Jingle plugin at this point, together with its peer connection and remote
+ * tracks. When the JVB session is terminated by Jicofo (e.g. when moving the
+ * conference to another bridge), a new 'session-initiate' is expected to
+ * follow.
+ * @param {JingleSessionPC} jingleSession the session instance that has been
+ * terminated by the remote side.
+ * @param {string} reasonCondition the Jingle reason condition.
+ * @param {string|null} reasonText human readable reason text which may provide
+ * more details about why the call has been terminated.
+ */
+JitsiConference.prototype.onCallEnded = function (jingleSession, reasonCondition, reasonText) {
+    if (jingleSession === this.jvbJingleSession) {
+        this.jvbJingleSession = null;
+        this.rtc.closeBridgeChannel();
+    } else if (jingleSession === this.p2pJingleSession) {
+        this._stopP2PSession({ sendSessionTerminate: false });
+    } else {
+        // Not a session of this conference
+        return;
+    }
+
+    this.eventEmitter.emit(
+        'conference.media_session.terminated',
+        jingleSession,
+        reasonCondition,
+        reasonText);
 };
 
 /**
@@ -352,6 +1440,12 @@ JitsiConference.prototype.onIncomingCall = function (jingleSession, jingleOffer,
 JitsiConference.prototype._acceptJvbIncomingCall = function (jingleSession,jingleOffer) {
 
     console.log("----------Accept JVB incoming call----------")
+    // The previous JVB session is dead if Jicofo starts a new one without
+    // terminating it first.
+    if (this.jvbJingleSession && this.jvbJingleSession !== jingleSession) {
+        this.jvbJingleSession.close();
+    }
+
     // Accept incoming call
     this.jvbJingleSession = jingleSession;
 
@@ -363,16 +1457,27 @@ JitsiConference.prototype._acceptJvbIncomingCall = function (jingleSession,jingl
         return;
     }
 
+    this._setBridgeChannel(jingleOffer, jingleSession.peerconnection);
+
     jingleSession.acceptOffer(
         jingleOffer,
         () => {
+            // If for any reason invite for the JVB session arrived after
+            // the P2P has been established already the media transfer needs
+            // to be turned off here.
+            if (this.isP2PActive() && this.jvbJingleSession === jingleSession) {
+                jingleSession.setMediaTransferActive(false).catch(() => {
+                    // The JVB connection will keep sending in the worst case
+                });
+            }
 
             this.eventEmitter.emit('conference.media_session.started',jingleSession);
             if (!this.isP2PActive()) {
                 this.eventEmitter.emit('conference.media_session.active_changed',jingleSession);
             }
         },
-        error => { }
+        error => { },
+        this.getLocalTracks()
     );
 };
 
@@ -435,6 +1540,7 @@ JitsiConference.prototype._acceptP2PIncomingCall = function (
         this.rtc, {
         ...this.options.config,
     });
+    this._setP2PReceiverConstraint(this.p2pJingleSession);
 
     let remoteID = Strophe.getResourceFromJid(this.p2pJingleSession.remoteJid);
 
@@ -450,7 +1556,342 @@ JitsiConference.prototype._acceptP2PIncomingCall = function (
         () => {
             this.eventEmitter.emit('conference.media_session.started',this.p2pJingleSession);
         },
-        error => { });
+        error => { },
+        this.getLocalTracks());
+};
+
+/**
+ * Callback called when the ICE connection of a Jingle session has been
+ * established. If it's the P2P session, the conference switches the media
+ * over to the direct connection and suspends the JVB one.
+ * @param {JingleSessionPC} jingleSession
+ * @private
+ */
+JitsiConference.prototype._onIceConnectionEstablished = function (jingleSession) {
+    // Skip everything if the jingle session is the JVB one
+    if (!jingleSession.isP2P) {
+        return;
+    }
+
+    if (this.p2pJingleSession !== jingleSession || this.isP2PActive()) {
+        return;
+    }
+
+    this._setP2PStatus(true);
+
+    // Switch the remote tracks from the JVB to the P2P connection
+    this._removeRemoteJVBTracks();
+    this._addRemoteP2PTracks();
+
+    // Stop media transfer over the JVB connection
+    if (this.jvbJingleSession) {
+        this.jvbJingleSession.setMediaTransferActive(false).catch(() => {
+            // The JVB connection will keep sending in the worst case
+        });
+    }
+
+    this.eventEmitter.emit('conference.media_session.active_changed', jingleSession);
+};
+
+/**
+ * Callback called when the ICE connection of a Jingle session has been
+ * interrupted. Emits 'conference.connectionInterrupted' if the session is the
+ * active one.
+ * @param {JingleSessionPC} jingleSession
+ * @private
+ */
+JitsiConference.prototype._onIceConnectionInterrupted = function (jingleSession) {
+    if (jingleSession.isP2P) {
+        this.isP2PConnectionInterrupted = true;
+    } else {
+        this.isJvbConnectionInterrupted = true;
+    }
+
+    if (jingleSession.isP2P === this.isP2PActive()) {
+        this.eventEmitter.emit('conference.connectionInterrupted');
+    }
+};
+
+/**
+ * Callback called when the ICE connection of a Jingle session has been
+ * restored. Emits 'conference.connectionRestored' if the session is the
+ * active one and it was previously interrupted.
+ * @param {JingleSessionPC} jingleSession
+ * @private
+ */
+JitsiConference.prototype._onIceConnectionRestored = function (jingleSession) {
+    let wasInterrupted;
+
+    if (jingleSession.isP2P) {
+        wasInterrupted = this.isP2PConnectionInterrupted;
+        this.isP2PConnectionInterrupted = false;
+    } else {
+        wasInterrupted = this.isJvbConnectionInterrupted;
+        this.isJvbConnectionInterrupted = false;
+        this._iceRestarts = 0;
+        this._cancelDelayedIceFailed();
+    }
+
+    if (wasInterrupted && jingleSession.isP2P === this.isP2PActive()) {
+        this.eventEmitter.emit('conference.connectionRestored');
+    }
+};
+
+/**
+ * Callback called when the ICE connection of a Jingle session has failed.
+ * The P2P session is stopped (the conference falls back to the JVB). The JVB
+ * session is restarted after a delay, up to {@code config.maxIceRestarts}
+ * times in a row, after which the conference fails with
+ * 'conference.iceFailed'.
+ * @param {JingleSessionPC} jingleSession
+ * @private
+ */
+JitsiConference.prototype._onIceConnectionFailed = function (jingleSession) {
+    if (jingleSession.isP2P) {
+        if (this.p2pJingleSession === jingleSession) {
+            this._stopP2PSession({
+                reason: 'connectivity-error',
+                reasonDescription: 'ICE FAILED'
+            });
+        }
+
+        return;
+    }
+
+    if (this.jvbJingleSession !== jingleSession) {
+        return;
+    }
+
+    const { config } = this.options;
+    const maxIceRestarts
+        = typeof config.maxIceRestarts === 'number' ? config.maxIceRestarts : 3;
+    const delay
+        = typeof config.iceFailedNotificationDelay === 'number'
+            ? config.iceFailedNotificationDelay : 2000;
+
+    if (this._iceRestarts >= maxIceRestarts) {
+        this._cancelDelayedIceFailed();
+        this.eventEmitter.emit('conference.failed', 'conference.iceFailed');
+
+        return;
+    }
+
+    this._cancelDelayedIceFailed();
+    this._delayedIceFailed
+        = new IceFailedHandling(this, delay * (2 ** this._iceRestarts));
+    this._delayedIceFailed.start();
+    this._iceRestarts += 1;
+};
+
+/**
+ * Cancels the pending {@link IceFailedHandling} task, if any.
+ * @private
+ */
+JitsiConference.prototype._cancelDelayedIceFailed = function () {
+    if (this._delayedIceFailed) {
+        this._delayedIceFailed.cancel();
+        this._delayedIceFailed = null;
+    }
+};
+
+/**
+ * Sets the P2P status and emits 'conference.p2pStatus' if it has changed.
+ * @param {boolean} newStatus the new value for the {@link p2p} field.
+ * @private
+ */
+JitsiConference.prototype._setP2PStatus = function (newStatus) {
+    if (this.p2p === newStatus) {
+        return;
+    }
+    this.p2p = newStatus;
+
+    this.eventEmitter.emit('conference.p2pStatus', this, this.p2p);
+};
+
+/**
+ * Adds remote tracks to the conference associated with the JVB session.
+ * @private
+ */
+JitsiConference.prototype._addRemoteJVBTracks = function () {
+    this._addRemoteTracks(this.jvbJingleSession);
+};
+
+/**
+ * Adds remote tracks to the conference associated with the P2P session.
+ * @private
+ */
+JitsiConference.prototype._addRemoteP2PTracks = function () {
+    this._addRemoteTracks(this.p2pJingleSession);
+};
+
+/**
+ * Generates fake "remote track added" events for the tracks of the given
+ * session, so that they become the active ones.
+ * @param {JingleSessionPC|null} jingleSession
+ * @private
+ */
+JitsiConference.prototype._addRemoteTracks = function (jingleSession) {
+    if (!jingleSession || !jingleSession.peerconnection) {
+        return;
+    }
+
+    for (const track of jingleSession.peerconnection.getRemoteTracks()) {
+        this.onRemoteTrackAdded(track);
+    }
+};
+
+/**
+ * Removes from the conference remote tracks associated with the JVB
+ * connection.
+ * @private
+ */
+JitsiConference.prototype._removeRemoteJVBTracks = function () {
+    this._removeRemoteTracks(this.jvbJingleSession);
+};
+
+/**
+ * Removes from the conference remote tracks associated with the P2P
+ * connection.
+ * @private
+ */
+JitsiConference.prototype._removeRemoteP2PTracks = function () {
+    this._removeRemoteTracks(this.p2pJingleSession);
+};
+
+/**
+ * Generates fake "remote track removed" events for the tracks of the given
+ * session. The tracks are not disposed as they are still held by the peer
+ * connection.
+ * @param {JingleSessionPC|null} jingleSession
+ * @private
+ */
+JitsiConference.prototype._removeRemoteTracks = function (jingleSession) {
+    if (!jingleSession || !jingleSession.peerconnection) {
+        return;
+    }
+
+    for (const track of jingleSession.peerconnection.getRemoteTracks()) {
+        this.onRemoteTrackRemoved(track);
+    }
+};
+
+/**
+ * Starts new P2P session with the given peer by sending Jingle
+ * 'session-initiate'.
+ * @param {string} remoteJid the JID of the remote participant
+ * @private
+ */
+JitsiConference.prototype._startP2PSession = function (remoteJid) {
+    this._clearDeferredStartP2P();
+    if (this.p2pJingleSession || !this.room) {
+        return;
+    }
+
+    const jingleSession
+        = this.xmpp.connection.jingle.newP2PJingleSession(
+            this.room.myroomjid,
+            remoteJid);
+
+    this.p2pJingleSession = jingleSession;
+    jingleSession.initialize(
+        this.room,
+        this.rtc, {
+            ...this.options.config
+        });
+    this._setP2PReceiverConstraint(jingleSession);
+
+    jingleSession.invite(this.getLocalTracks())
+        .catch(() => {
+            if (this.p2pJingleSession === jingleSession) {
+                this._stopP2PSession({
+                    reason: 'general-error',
+                    reasonDescription: 'Failed to create an offer'
+                });
+            }
+        });
+};
+
+/**
+ * Clears the deferred start P2P task if it has been scheduled.
+ * @private
+ */
+JitsiConference.prototype._clearDeferredStartP2P = function () {
+    if (this.deferredStartP2PTask) {
+        clearTimeout(this.deferredStartP2PTask);
+        this.deferredStartP2PTask = null;
+    }
+};
+
+/**
+ * Stops the current P2P session and switches the media back to the JVB
+ * connection if the P2P one was the active one.
+ * @param {Object} [options]
+ * @param {string} [options.reason='success'] the Jingle reason condition
+ * sent in 'session-terminate'.
+ * @param {string} [options.reasonDescription] the reason text sent in
+ * 'session-terminate'.
+ * @param {boolean} [options.sendSessionTerminate] whether or not to send
+ * 'session-terminate'. By default it's sent if the peer is still in the room.
+ * @private
+ */
+JitsiConference.prototype._stopP2PSession = function (options = {}) {
+    this._clearDeferredStartP2P();
+    if (!this.p2pJingleSession) {
+        return;
+    }
+
+    const isP2PActive = this.isP2PActive();
+
+    if (isP2PActive) {
+        if (this.jvbJingleSession) {
+            this.jvbJingleSession.setMediaTransferActive(true).catch(() => {
+                // Nothing more can be done here, the JVB media is lost
+            });
+        }
+
+        // Remove remote P2P tracks
+        this._removeRemoteP2PTracks();
+    }
+
+    const {
+        reason = 'success',
+        reasonDescription = 'Turning off P2P session',
+        sendSessionTerminate
+            = Boolean(this.room
+                && this.getParticipantById(
+                    Strophe.getResourceFromJid(this.p2pJingleSession.remoteJid)))
+    } = options;
+
+    this.p2pJingleSession.terminate(
+        null /* success callback => we don't care */,
+        null /* error callback => we don't care */,
+        {
+            reason,
+            reasonDescription,
+            sendSessionTerminate
+        });
+
+    this.p2pJingleSession = null;
+
+    // Update P2P status and other affected events/states
+    this._setP2PStatus(false);
+
+    if (isP2PActive) {
+        // Add back remote JVB tracks
+        if (this.jvbJingleSession) {
+            this._addRemoteJVBTracks();
+        }
+
+        this.eventEmitter.emit('conference.media_session.active_changed', this.jvbJingleSession);
+    }
+};
+
+/**
+ * Tells whether or not the P2P mode is enabled in the configuration.
+ * @return {boolean}
+ */
+JitsiConference.prototype.isP2PEnabled = function () {
+    return Boolean(this.options.config.p2p && this.options.config.p2p.enabled);
 };
 
 /**
@@ -461,6 +1902,9 @@ JitsiConference.prototype._acceptP2PIncomingCall = function (
  * @private
  */
 JitsiConference.prototype._maybeStartOrStopP2P = function (userLeftEvent) {
+    if (!this.isP2PEnabled()) {
+        return;
+    }
 
     const peers = this.getParticipants();
     const peerCount = peers.length;
@@ -468,11 +1912,15 @@ JitsiConference.prototype._maybeStartOrStopP2P = function (userLeftEvent) {
     // FIXME 1 peer and it must *support* P2P switching
     const shouldBeInP2P = this._shouldBeInP2PMode();
 
+    // Clear deferred "start P2P" task
+    if (!shouldBeInP2P && this.deferredStartP2PTask) {
+        this._clearDeferredStartP2P();
+    }
+
     // Start peer to peer session
     if (!this.p2pJingleSession && shouldBeInP2P) {
         const peer = peerCount && peers[0];
 
-
         const myId = this.myUserId();
         const peersId = peer.getId();
 
@@ -484,7 +1932,17 @@ JitsiConference.prototype._maybeStartOrStopP2P = function (userLeftEvent) {
 
         const jid = peer.getJid();
 
-        this._startP2PSession(jid);
+        if (userLeftEvent) {
+            if (this.deferredStartP2PTask) {
+                // Already scheduled
+                return;
+            }
+            this.deferredStartP2PTask = setTimeout(
+                this._startP2PSession.bind(this, jid),
+                this.backToP2PDelay * 1000);
+        } else {
+            this._startP2PSession(jid);
+        }
     } else if (this.p2pJingleSession && !shouldBeInP2P) {
         this._stopP2PSession();
     }
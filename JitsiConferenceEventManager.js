@@ -1,6 +1,10 @@
+import { Strophe } from 'strophe.js';
+
 export default function JitsiConferenceEventManager(conference) {
     this.conference = conference;
     this.xmppListeners = {};
+    this.chatRoomListeners = {};
+    this.rtcListeners = {};
 }
 
 /**
@@ -11,7 +15,7 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
     const conference = this.conference;
     const chatRoom = conference.room;
     // send some analytics events
-    chatRoom.addListener('xmpp.muc_joined',
+    this._addConferenceChatRoomListener('xmpp.muc_joined',
         () => {
             this.conference._onMucJoined();
             this.conference.isJvbConnectionInterrupted = false;
@@ -23,8 +27,177 @@ JitsiConferenceEventManager.prototype.setupChatRoomListeners = function() {
             });
         });
 
-    chatRoom.addListener('xmpp.muc_member_joined',
+    this._addConferenceChatRoomListener('xmpp.muc_member_joined',
         conference.onMemberJoined.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.muc_role_changed',
+        conference.onUserRoleChanged.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.localrole_changed',
+        conference.onLocalRoleChanged.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.display_name_changed',
+        conference.onDisplayNameChanged.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.participant_info_changed',
+        (jid, info) => {
+            const participant
+                = conference.getParticipantById(
+                    Strophe.getResourceFromJid(jid));
+
+            participant && participant.setInfo(info);
+        });
+    this._addConferenceChatRoomListener('xmpp.muc_member_left',
+        conference.onMemberLeft.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.remote_video_constraints_changed',
+        conference.onRemoteVideoConstraintsChanged.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.muted_by_focus',
+        conference.onMutedByFocus.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.kicked',
+        conference.onMemberKicked.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.message_received',
+        (jid, txt, myJid, ts) => {
+            const id = Strophe.getResourceFromJid(jid);
+
+            conference.eventEmitter.emit(
+                'conference.messageReceived', id, txt, ts);
+        });
+    this._addConferenceChatRoomListener('xmpp.private_message_received',
+        (jid, txt, myJid, ts) => {
+            const id = Strophe.getResourceFromJid(jid);
+
+            conference.eventEmitter.emit(
+                'conference.privateMessageReceived', id, txt, ts);
+        });
+    this._addConferenceChatRoomListener('xmpp.json_message_received',
+        (from, json) => {
+            const participant
+                = conference.getParticipantById(
+                    Strophe.getResourceFromJid(from));
+
+            if (participant) {
+                conference.eventEmitter.emit(
+                    'conference.endpoint_message_received', participant, json);
+            } else {
+                conference.eventEmitter.emit(
+                    'conference.non_participant_message_received', from, json);
+            }
+        });
+    this._addConferenceChatRoomListener('xmpp.connection.connected',
+        conference._onIceConnectionEstablished.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.connection.interrupted',
+        conference._onIceConnectionInterrupted.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.connection.restored',
+        conference._onIceConnectionRestored.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.connection.iceFailed',
+        conference._onIceConnectionFailed.bind(conference));
+    this._addConferenceChatRoomListener('xmpp.authentication_required',
+        () => {
+            conference.eventEmitter.emit('conference.authenticationRequired');
+        });
+    this._addConferenceChatRoomListener('xmpp.focus_left',
+        () => {
+            conference.eventEmitter.emit('conference.focusLeft');
+        });
+    this._addConferenceChatRoomListener('xmpp.focus_not_available',
+        focusComponent => {
+            conference.eventEmitter.emit(
+                'conference.focusNotAvailable', focusComponent);
+        });
+    this._addConferenceChatRoomListener('xmpp.identity_updated',
+        (authEnabled, authIdentity) => {
+            conference.authEnabled = authEnabled;
+            conference.authIdentity = authIdentity;
+            conference.eventEmitter.emit(
+                'conference.auth_status_changed', authEnabled, authIdentity);
+        });
+    this._addConferenceChatRoomListener('xmpp.password_required',
+        () => {
+            conference.eventEmitter.emit(
+                'conference.failed', 'conference.passwordRequired');
+        });
+    this._addConferenceChatRoomListener('xmpp.room_connect_error.members_only',
+        () => {
+            conference.eventEmitter.emit(
+                'conference.failed', 'conference.membersOnly');
+        });
+    this._addConferenceChatRoomListener('xmpp.room_connect_error.conflict',
+        () => {
+            conference.eventEmitter.emit(
+                'conference.failed', 'conference.nicknameConflict');
+        });
+    this._addConferenceChatRoomListener('xmpp.room_max_users_error',
+        () => {
+            conference.eventEmitter.emit(
+                'conference.failed', 'conference.maxUsersReached');
+        });
+    this._addConferenceChatRoomListener('xmpp.room_connect_error',
+        () => {
+            conference.eventEmitter.emit(
+                'conference.failed', 'conference.connectionError');
+        });
+    this._addConferenceChatRoomListener('xmpp.room_info_changed',
+        roomInfo => {
+            conference.properties = {
+                ...conference.properties,
+                ...roomInfo
+            };
+            conference.eventEmitter.emit(
+                'conference.propertiesChanged', conference.properties);
+        });
+    this._addConferenceChatRoomListener('xmpp.muc_members_only_changed',
+        enabled => {
+            conference.eventEmitter.emit(
+                'conference.membersOnlyChanged', enabled);
+        });
+    this._addConferenceChatRoomListener('xmpp.muc_lobby_member_joined',
+        (id, name) => {
+            conference.eventEmitter.emit(
+                'conference.lobby.userJoined', id, name);
+        });
+    this._addConferenceChatRoomListener('xmpp.muc_lobby_member_updated',
+        (id, participant) => {
+            conference.eventEmitter.emit(
+                'conference.lobby.userUpdated', id, participant);
+        });
+    this._addConferenceChatRoomListener('xmpp.muc_lobby_member_left',
+        id => {
+            conference.eventEmitter.emit('conference.lobby.userLeft', id);
+        });
+    this._addConferenceChatRoomListener('xmpp.muc_denied_access',
+        () => {
+            conference.eventEmitter.emit(
+                'conference.failed', 'conference.conferenceAccessDenied');
+        });
+    this._addConferenceChatRoomListener('xmpp.muc_destroyed',
+        (reason, alternateJid) => {
+            conference.eventEmitter.emit(
+                'conference.failed',
+                'conference.destroyed',
+                reason,
+                alternateJid);
+        });
+};
+
+/**
+ * Removes event listeners related to the given chat room.
+ * @param {ChatRoom} chatRoom the chat room the listeners were added to, the
+ * conference drops its reference to the room when leaving.
+ */
+JitsiConferenceEventManager.prototype.removeChatRoomListeners = function(
+        chatRoom) {
+    Object.keys(this.chatRoomListeners).forEach(eventName => {
+        chatRoom.removeListener(
+            eventName,
+            this.chatRoomListeners[eventName]);
+    });
+    this.chatRoomListeners = {};
+};
+
+/**
+ * Add chat room listener and save its reference for remove on leave
+ * conference.
+ */
+JitsiConferenceEventManager.prototype._addConferenceChatRoomListener = function(
+        eventName, listener) {
+    this.chatRoomListeners[eventName] = listener;
+    this.conference.room.addListener(eventName, listener);
 };
 
 /**
@@ -35,10 +208,44 @@ JitsiConferenceEventManager.prototype.setupRTCListeners = function() {
     const conference = this.conference;
     const rtc = conference.rtc;
 
-    rtc.addListener(
+    this._addConferenceRTCListener(
         'rtc.remote_track_added',
         conference.onRemoteTrackAdded.bind(conference));
+    this._addConferenceRTCListener(
+        'rtc.remote_track_removed',
+        conference.onRemoteTrackRemoved.bind(conference));
+    this._addConferenceRTCListener(
+        'rtc.dominant_speaker_changed',
+        conference.onDominantSpeakerChanged.bind(conference));
+    this._addConferenceRTCListener(
+        'rtc.sender_video_constraints_changed',
+        conference.onSenderVideoConstraintsChanged.bind(conference));
+    this._addConferenceRTCListener(
+        'rtc.endpoint_conn_status_changed',
+        conference.onEndpointConnStatusChanged.bind(conference));
+};
+
+/**
+ * Removes event listeners related to conference.rtc
+ */
+JitsiConferenceEventManager.prototype.removeRTCListeners = function() {
+    const conference = this.conference;
+
+    Object.keys(this.rtcListeners).forEach(eventName => {
+        conference.rtc.removeListener(
+            eventName,
+            this.rtcListeners[eventName]);
+    });
+    this.rtcListeners = {};
+};
 
+/**
+ * Add RTC listener and save its reference for remove on leave conference.
+ */
+JitsiConferenceEventManager.prototype._addConferenceRTCListener = function(
+        eventName, listener) {
+    this.rtcListeners[eventName] = listener;
+    this.conference.rtc.addListener(eventName, listener);
 };
 
 /**
@@ -72,6 +279,9 @@ JitsiConferenceEventManager.prototype.setupXMPPListeners = function() {
     this._addConferenceXMPPListener(
         'xmpp.transportinfo.jingle',
         conference.onTransportInfo.bind(conference));
+    this._addConferenceXMPPListener(
+        'xmpp.callended.jingle',
+        conference.onCallEnded.bind(conference));
 };
 
 /**
@@ -11,9 +11,11 @@ import XMPP from './modules/xmpp/xmpp';
  * the server.
  * @constructor
  */
-export default function JitsiConnection(options) {
+export default function JitsiConnection(appID, token, options) {
+    this.appID = appID;
+    this.token = token;
     this.options = options;
-    this.xmpp = new XMPP(options);
+    this.xmpp = new XMPP(options, token);
 }
 
 /**
@@ -25,6 +27,15 @@ JitsiConnection.prototype.connect = function(options = {}) {
     this.xmpp.connect(options.id, options.password);
 };
 
+/**
+ * Disconnect the client from the server.
+ * @returns {Promise} - Resolves when the disconnect process is finished or
+ * rejects with an error.
+ */
+JitsiConnection.prototype.disconnect = function() {
+    return this.xmpp.disconnect();
+};
+
 /**
  * Creates and joins new conference.
  * @param name the name of the conference; if null - a generated name will be
@@ -42,7 +53,21 @@ JitsiConnection.prototype.initJitsiConference = function(name, options) {
     });
 };
 
+/**
+ * Subscribes the passed listener to the event.
+ * @param event {JitsiConnectionEvents} the connection event.
+ * @param listener {Function} the function that will receive the event
+ */
 JitsiConnection.prototype.addEventListener = function(event, listener) {
     this.xmpp.addListener(event, listener);
 };
 
+/**
+ * Unsubscribes the passed handler.
+ * @param event {JitsiConnectionEvents} the connection event.
+ * @param listener {Function} the function that will receive the event
+ */
+JitsiConnection.prototype.removeEventListener = function(event, listener) {
+    this.xmpp.removeListener(event, listener);
+};
+
@@ -0,0 +1,28 @@
+/**
+ * The errors for the connection.
+ */
+
+/**
+ * Indicates that the connection failed because of an authentication error:
+ * either the server requires a password and none (or a wrong one) was given,
+ * or the anonymous login is not allowed.
+ */
+export const PASSWORD_REQUIRED = 'connection.passwordRequired';
+
+/**
+ * Not specified errors.
+ */
+export const OTHER_ERROR = 'connection.otherError';
+
+/**
+ * Indicates that a server error occurred (the last HTTP request of the
+ * connection failed with a 5xx status code).
+ */
+export const SERVER_ERROR = 'connection.serverError';
+
+/**
+ * Indicates that the XMPP connection is now served by a different shard than
+ * the one it was established with. The MUC state is lost, so the conference
+ * has to be joined again.
+ */
+export const SHARD_CHANGED_ERROR = 'connection.shardChanged';
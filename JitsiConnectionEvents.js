@@ -0,0 +1,33 @@
+/**
+ * The events for the connection.
+ */
+
+/**
+ * Indicates that the connection has been disconnected on request of the user
+ * (see {@link JitsiConnection.disconnect}). The event provides the following
+ * parameters to its listeners:
+ *
+ * @param msg {string} a message associated with the disconnect such as the
+ * last (known) error message
+ */
+export const CONNECTION_DISCONNECTED = 'connection.connectionDisconnected';
+
+/**
+ * Indicates that the connection has been established. The event provides
+ * the following parameters to its listeners:
+ *
+ * @param id {string} the ID of the local endpoint/participant/peer (within
+ * the context of the established connection)
+ */
+export const CONNECTION_ESTABLISHED = 'connection.connectionEstablished';
+
+/**
+ * Indicates that the connection has been failed for some reason. The event
+ * provides the following parameters to its listeners:
+ *
+ * @param errType {JitsiConnectionErrors} the type of error associated with
+ * the failure
+ * @param errReason {string} the error (message) associated with the failure
+ * @param credentials {object} the credentials used to connect (if any)
+ */
+export const CONNECTION_FAILED = 'connection.connectionFailed';
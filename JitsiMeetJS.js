@@ -1,11 +1,47 @@
 import JitsiConnection from './JitsiConnection';
+import * as JitsiConnectionErrors from './JitsiConnectionErrors';
+import * as JitsiConnectionEvents from './JitsiConnectionEvents';
 import RTC from './modules/RTC/RTC';
+import Settings from './modules/settings/Settings';
 
 export default window.JitsiMeetJS = {
 
     JitsiConnection,
 
+    errors: {
+        connection: JitsiConnectionErrors
+    },
+
+    events: {
+        connection: JitsiConnectionEvents
+    },
+
+    /**
+     * Initializes the library.
+     *
+     * @param {Object} [options]
+     * @param {Storage} [options.externalStorage] - The storage used to persist
+     * the machine UID and the Jicofo session ID, instead of the local storage.
+     * @returns {*}
+     */
     init(options = {}) {
+        Settings.init(options.externalStorage);
+
         return RTC.init(options);
     },
-}
+
+    /**
+     * Creates the local media tracks.
+     *
+     * @param {Object} options Object with properties / settings specifying
+     * the tracks which should be created, see
+     * {@link RTC.obtainAudioAndVideoPermissions}. In Node (e.g. with wrtc)
+     * pass <tt>audioSource</tt> and/or <tt>videoSource</tt> to publish
+     * synthesized media.
+     * @returns {Promise.<{Array.<JitsiLocalTrack>}>} A promise that returns an
+     * array of created JitsiTracks if resolved.
+     */
+    createLocalTracks(options = {}) {
+        return RTC.obtainAudioAndVideoPermissions(options);
+    }
+};
@@ -35,6 +35,9 @@ export default class JitsiParticipant {
         this._isReplacing = isReplacing;
         this._isReplaced = isReplaced;
         this._features = new Set();
+        this._email = undefined;
+        this._avatarURL = undefined;
+        this._connectionStatus = 'active';
     }
 
     /* eslint-enable max-params */
@@ -111,6 +114,33 @@ export default class JitsiParticipant {
         return this._displayName;
     }
 
+    /**
+     * @returns {String|undefined} The email of this participant, if
+     * published.
+     */
+    getEmail() {
+        return this._email;
+    }
+
+    /**
+     * @returns {String|undefined} The URL of the avatar of this participant,
+     * if published.
+     */
+    getAvatarURL() {
+        return this._avatarURL;
+    }
+
+    /**
+     * Sets the email and the avatar URL published by this participant.
+     * @param {Object} info
+     * @param {String} [info.email] - The email.
+     * @param {String} [info.avatarURL] - The avatar URL.
+     */
+    setInfo({ avatarURL, email }) {
+        this._avatarURL = avatarURL;
+        this._email = email;
+    }
+
     /**
      * @returns {String} The stats ID of this participant.
      */
@@ -0,0 +1,119 @@
+import * as JitsiConnectionEvents from './JitsiConnectionEvents';
+import XMPP from './modules/xmpp/xmpp';
+
+/**
+ * Authenticates the local participant with Jicofo through a separate,
+ * temporary XMPP connection (on the authenticated domain) and then sends a new
+ * conference request on the main connection, so that Jicofo upgrades the role
+ * of the local participant.
+ *
+ * Note that this function is meant to be called with the conference as
+ * {@code this}.
+ *
+ * @param {Object} options
+ * @param {string} options.id - The XMPP user's ID to log in. For example,
+ * user@xmpp-server.com.
+ * @param {string} options.password - The XMPP user's password to log in with.
+ * @param {Function} [options.onLoginSuccessful] - Callback called when logging
+ * into the XMPP server was successful. The next step will be to obtain a new
+ * session ID from Jicofo and join the MUC using it which will effectively
+ * upgrade the user's role to moderator.
+ * @returns {Thenable<void>} - A promise-like object with an additional
+ * {@code cancel} method which cancels the process. It's rejected with either
+ * {@code connectionError} (the XMPP login failed) or
+ * {@code authenticationError} (Jicofo refused the session).
+ */
+export default function authenticateAndUpgradeRole({
+    id,
+    password,
+    onLoginSuccessful
+}) {
+    let canceled = false;
+    let rejectPromise;
+    let xmpp = new XMPP(this.connection.options);
+
+    const process = new Promise((resolve, reject) => {
+        // The process is represented by a Thenable with a cancel method. The
+        // Thenable is implemented using Promise and the cancel using the
+        // Promise's reject function.
+        rejectPromise = reject;
+
+        xmpp.addListener(
+            JitsiConnectionEvents.CONNECTION_DISCONNECTED,
+            () => {
+                xmpp = undefined;
+            });
+        xmpp.addListener(
+            JitsiConnectionEvents.CONNECTION_ESTABLISHED,
+            () => {
+                if (canceled) {
+                    return;
+                }
+
+                // Let the caller know that the XMPP login was successful.
+                onLoginSuccessful && onLoginSuccessful();
+
+                // Now authenticate with Jicofo and get a new session ID.
+                const room
+                    = xmpp.createRoom(this.options.name, { ...this.options.config });
+
+                room.moderator.authenticate()
+                    .then(() => {
+                        xmpp && xmpp.disconnect();
+
+                        if (canceled) {
+                            return;
+                        }
+
+                        // At this point we should have the new session ID
+                        // stored in the settings. Send a new conference IQ
+                        // (and join the room if joining failed because of the
+                        // missing authentication).
+                        const allocation
+                            = this.room.joined
+                                ? this.room.moderator.allocateConferenceFocus()
+                                : this.room.join(this.room.password);
+
+                        allocation.then(resolve, reject);
+                    })
+                    .catch(({ error, message }) => {
+                        xmpp && xmpp.disconnect();
+
+                        reject({
+                            authenticationError: error,
+                            message
+                        });
+                    });
+            });
+        xmpp.addListener(
+            JitsiConnectionEvents.CONNECTION_FAILED,
+            (connectionError, msg) => {
+                reject({
+                    connectionError,
+                    credentials: {
+                        jid: id,
+                        password
+                    },
+                    message: msg
+                });
+                xmpp = undefined;
+            });
+
+        canceled || xmpp.connect(id, password);
+    });
+
+    /**
+     * Cancels the process, if it's in progress, of authenticating and upgrading
+     * the role of the local participant/user.
+     *
+     * @public
+     * @returns {void}
+     */
+    process.cancel = () => {
+        canceled = true;
+        rejectPromise({});
+        xmpp && xmpp.disconnect();
+    };
+
+    return process;
+}
@@ -53,7 +53,7 @@ function onConnectionSuccess(e) {
 
 JitsiMeetJS.init({});
 
-connection = new JitsiMeetJS.JitsiConnection(options);
+connection = new JitsiMeetJS.JitsiConnection(null, null, options);
 
 connection.addEventListener(
     'connection.connectionEstablished',
@@ -0,0 +1,291 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
+
+import JitsiTrack from './JitsiTrack';
+
+const logger = getLogger(__filename);
+
+/**
+ * Represents a single media track that is either audio or video and is
+ * published by the local participant.
+ */
+export default class JitsiLocalTrack extends JitsiTrack {
+    /**
+     * Constructs new JitsiLocalTrack instance.
+     *
+     * @constructor
+     * @param {Object} trackInfo
+     * @param {number} trackInfo.rtcId the ID assigned by the RTC module
+     * @param trackInfo.stream WebRTC MediaStream, parent of the track
+     * @param trackInfo.track underlying WebRTC MediaStreamTrack for new
+     * JitsiLocalTrack
+     * @param trackInfo.mediaType the media type of the JitsiLocalTrack
+     * @param trackInfo.videoType the video type of the JitsiLocalTrack
+     * ('camera' or 'desktop')
+     * @param trackInfo.resolution the video resolution if it's a video track
+     * @param trackInfo.deviceId the ID of the local device for this track
+     * @param {Object} [trackInfo.source] the nonstandard media source the track
+     * was created from, if any (e.g. RTCAudioSource or RTCVideoSource provided
+     * by wrtc when running in Node).
+     */
+    constructor({
+        deviceId,
+        mediaType,
+        resolution,
+        rtcId,
+        source,
+        stream,
+        track,
+        videoType
+    }) {
+        super(
+            /* conference */ null,
+            stream,
+            track,
+            () => {
+                if (!this.dontFireRemoveEvent) {
+                    this.emit('track.stopped', this);
+                }
+                this.dontFireRemoveEvent = false;
+            } /* inactiveHandler */,
+            mediaType,
+            videoType);
+
+        /**
+         * The ID assigned by the RTC module on instance creation.
+         *
+         * @type {number}
+         */
+        this.rtcId = rtcId;
+
+        /**
+         * The ID of the local device this track was captured from (if any).
+         *
+         * @type {string|undefined}
+         */
+        this.deviceId = deviceId;
+
+        /**
+         * The nonstandard media source which feeds this track with data.
+         *
+         * @type {Object|undefined}
+         */
+        this.source = source;
+
+        /**
+         * The height of the video frames produced by this track (if it's a
+         * video track).
+         *
+         * @type {number|undefined}
+         */
+        this.resolution = resolution;
+
+        this.dontFireRemoveEvent = false;
+
+        /**
+         * The promise of the last mute/unmute operation. Used to serialize
+         * the operations, so that they are executed in the order of the calls.
+         *
+         * @type {Promise}
+         * @private
+         */
+        this._prevSetMuted = Promise.resolve();
+    }
+
+    /**
+     * Returns if associated MediaStreamTrack is in the 'ended' state
+     *
+     * @returns {boolean}
+     */
+    isEnded() {
+        return this.getTrack().readyState === 'ended';
+    }
+
+    /**
+     * Returns <tt>true</tt> - if the stream is muted and <tt>false</tt>
+     * otherwise.
+     *
+     * @returns {boolean} <tt>true</tt> - if the stream is muted and
+     * <tt>false</tt> otherwise.
+     */
+    isMuted() {
+        // this.stream will be null when we mute local video on Chrome
+        if (!this.stream) {
+            return true;
+        }
+
+        return !this.track || !this.track.enabled;
+    }
+
+    /**
+     * Asynchronously mutes this track.
+     *
+     * @returns {Promise}
+     */
+    mute() {
+        return this._queueSetMuted(true);
+    }
+
+    /**
+     * Asynchronously unmutes this track.
+     *
+     * @returns {Promise}
+     */
+    unmute() {
+        return this._queueSetMuted(false);
+    }
+
+    /**
+     * Queues the mute / unmute operation behind the previous one, so that
+     * rapid mute/unmute calls don't interleave.
+     *
+     * @param {boolean} muted - The new mute state.
+     * @private
+     * @returns {Promise}
+     */
+    _queueSetMuted(muted) {
+        const setMuted = () => this._setMuted(muted);
+
+        this._prevSetMuted = this._prevSetMuted.then(setMuted, setMuted);
+
+        return this._prevSetMuted;
+    }
+
+    /**
+     * Mutes / unmutes this track. Camera video is muted by removing the track
+     * from the peer connections, so that a 'source-remove' is sent and the
+     * remote side stops expecting frames from it. Audio and desktop tracks are
+     * only disabled.
+     *
+     * @param {boolean} muted - If <tt>true</tt>, this track will be muted;
+     * otherwise, this track will be unmuted.
+     * @private
+     * @returns {Promise}
+     */
+    _setMuted(muted) {
+        if (this.isMuted() === muted) {
+            return Promise.resolve();
+        }
+
+        if (this.disposed) {
+            return Promise.reject(new Error('Track has been already disposed'));
+        }
+
+        let promise = Promise.resolve();
+
+        if (this.isVideoTrack()
+                && this.getVideoType() !== 'desktop'
+                && this.conference) {
+            promise = muted
+                ? this.conference._removeLocalTrackAsMute(this)
+                : this.conference._addLocalTrackAsUnmute(this);
+        }
+
+        return promise.then(() => {
+            this.track.enabled = !muted;
+            this._sendMuteStatus(muted);
+            this.emit('track.trackMuteChanged', this);
+        });
+    }
+
+    /**
+     * Updates the mute status of this track in the MUC presence of the
+     * conference the track belongs to (if any).
+     *
+     * @param {boolean} muted - The new mute state.
+     * @private
+     * @returns {void}
+     */
+    _sendMuteStatus(muted) {
+        if (this.conference && this.conference.room
+                && this.conference._setTrackMuteStatus(this.getType(), muted)) {
+            this.conference.room.sendPresence();
+        }
+    }
+
+    /**
+     * Sets the JitsiConference object associated with the track. This is temp
+     * solution.
+     *
+     * @param conference the JitsiConference object
+     * @returns {void}
+     */
+    _setConference(conference) {
+        this.conference = conference;
+    }
+
+    /**
+     * Stops the associated MediaStream.
+     *
+     * @returns {void}
+     */
+    stopStream() {
+        for (const track of this.stream.getTracks()) {
+            track.stop();
+        }
+    }
+
+    /**
+     * Removes the track from the conference (if any), stops the underlying
+     * media and disposes the track.
+     *
+     * @returns {Promise}
+     */
+    dispose() {
+        let promise = Promise.resolve();
+
+        if (this.conference) {
+            promise = this.conference.removeTrack(this);
+        }
+
+        return promise
+            .catch(error => {
+                logger.error(`Failed to remove ${this} from the conference`, error);
+            })
+            .then(() => {
+                if (this.stream) {
+                    this.dontFireRemoveEvent = true;
+                    this.stopStream();
+                    this.detach();
+                }
+
+                return super.dispose();
+            });
+    }
+
+    /**
+     * Returns the ID of the device the track was captured from.
+     *
+     * @returns {string|undefined}
+     */
+    getDeviceId() {
+        return this.deviceId;
+    }
+
+    /**
+     * Returns the nonstandard media source which feeds this track, if any.
+     *
+     * @returns {Object|undefined}
+     */
+    getSource() {
+        return this.source;
+    }
+
+    /**
+     * Returns <tt>true</tt>.
+     *
+     * @returns {boolean} <tt>true</tt>
+     */
+    isLocal() {
+        return true;
+    }
+
+    /**
+     * Creates a text representation of this local track instance.
+     *
+     * @return {string}
+     */
+    toString() {
+        return `LocalTrack[${this.rtcId},${this.getType()}]`;
+    }
+}
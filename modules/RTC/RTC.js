@@ -1,7 +1,62 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
+
 import Listenable from '../util/Listenable';
+
+import BridgeChannel from './BridgeChannel';
+import JitsiLocalTrack from './JitsiLocalTrack';
 import TraceablePeerConnection from './TraceablePeerConnection';
 
+const logger = getLogger(__filename);
+
 let peerConnectionIdCounter = 0;
+let rtcTrackIdCounter = 0;
+
+/**
+ * Increments the given counter, wrapping around before it reaches an unsafe
+ * integer value.
+ * @param {number} number the current value of the counter
+ * @returns {number} the next value
+ */
+function safeCounterIncrement(number) {
+    let nextValue = number;
+
+    if (number >= Number.MAX_SAFE_INTEGER) {
+        nextValue = 0;
+    }
+
+    return nextValue + 1;
+}
+
+/**
+ * Obtains the MediaStreamTracks for the given media types from the devices of
+ * the local machine.
+ * @param {Array<string>} mediaTypes the media types to capture
+ * @param {Object} constraints the optional getUserMedia constraints per media
+ * type
+ * @returns {Promise<Array<MediaStreamTrack>>}
+ */
+function captureTracks(mediaTypes, constraints = {}) {
+    if (!mediaTypes.length) {
+        return Promise.resolve([]);
+    }
+
+    if (typeof navigator === 'undefined'
+            || !navigator.mediaDevices
+            || !navigator.mediaDevices.getUserMedia) {
+        return Promise.reject(new Error(
+            'getUserMedia is not supported, pass an audioSource/videoSource instead'));
+    }
+
+    const gumConstraints = {};
+
+    mediaTypes.forEach(mediaType => {
+        gumConstraints[mediaType] = constraints[mediaType] || true;
+    });
+
+    return navigator.mediaDevices.getUserMedia(gumConstraints)
+        .then(stream => stream.getTracks());
+}
 export default class RTC extends Listenable {
 
     constructor(conference, options = {}) {
@@ -11,6 +66,167 @@ export default class RTC extends Listenable {
         this.peerConnections = new Map();
 
         this.localTracks = [];
+
+        /**
+         * The channel to the videobridge, opened when the JVB session is
+         * established.
+         * @type {BridgeChannel|null}
+         */
+        this._channel = null;
+
+        const { channelLastN } = options.config || {};
+
+        /**
+         * The number of videos the bridge is asked to forward, -1 for all.
+         * @type {number}
+         */
+        this._lastN = typeof channelLastN === 'number' ? channelLastN : -1;
+
+        /**
+         * The endpoints currently forwarded by the bridge or <tt>null</tt>
+         * until the bridge reports them.
+         * @type {Array<string>|null}
+         */
+        this._lastNEndpoints = null;
+
+        /**
+         * The receiver video constraints last set, sent to the bridge as
+         * 'ReceiverVideoConstraints'.
+         * @type {Object|null}
+         */
+        this._receiverVideoConstraints = null;
+
+        this._onLastNChanged = this._onLastNChanged.bind(this);
+    }
+
+    /**
+     * Opens the channel to the videobridge, over the SCTP data channel of the
+     * given peer connection or over a WebSocket. Any previous channel is
+     * closed.
+     * @param {RTCPeerConnection} [peerconnection] the JVB peer connection.
+     * @param {string} [wsUrl] the colibri WebSocket URL.
+     */
+    initializeBridgeChannel(peerconnection, wsUrl) {
+        this.closeBridgeChannel();
+
+        this._channel = new BridgeChannel(peerconnection, wsUrl, this.eventEmitter);
+
+        this._channelOpenListener = () => {
+            // When the channel becomes available, tell the bridge about the
+            // receiver constraints or the lastN set before it was open.
+            try {
+                if (this._receiverVideoConstraints) {
+                    this._channel.sendNewReceiverVideoConstraintsMessage(
+                        this._receiverVideoConstraints);
+                } else if (this._lastN !== -1) {
+                    this._channel.sendSetLastNMessage(this._lastN);
+                }
+            } catch (error) {
+                logger.error('Cannot send the receiver preferences', error);
+            }
+        };
+        this.addListener('rtc.data_channel_open', this._channelOpenListener);
+        this.addListener('rtc.lastn_endpoint_changed', this._onLastNChanged);
+    }
+
+    /**
+     * Closes the channel to the videobridge, if open.
+     */
+    closeBridgeChannel() {
+        if (this._channel) {
+            this._channel.close();
+            this._channel = null;
+
+            this.removeListener('rtc.data_channel_open', this._channelOpenListener);
+            this._channelOpenListener = null;
+            this.removeListener('rtc.lastn_endpoint_changed', this._onLastNChanged);
+        }
+    }
+
+    /**
+     * Handles the list of the endpoints forwarded by the bridge and emits
+     * 'conference.lastNEndpointsChanged' with the endpoints which left and
+     * entered it.
+     * @param {Array<string>} lastNEndpoints the forwarded endpoints.
+     * @private
+     */
+    _onLastNChanged(lastNEndpoints = []) {
+        const oldLastNEndpoints = this._lastNEndpoints || [];
+
+        this._lastNEndpoints = lastNEndpoints;
+
+        const leavingLastNEndpoints
+            = oldLastNEndpoints.filter(id => !this.isInLastN(id));
+        const enteringLastNEndpoints
+            = lastNEndpoints.filter(id => oldLastNEndpoints.indexOf(id) === -1);
+
+        this.conference.eventEmitter.emit(
+            'conference.lastNEndpointsChanged',
+            leavingLastNEndpoints,
+            enteringLastNEndpoints);
+    }
+
+    /**
+     * Sets the number of videos the bridge is asked to forward. The value is
+     * sent right away if the bridge channel is open, or once it opens.
+     * @param {number} value the new value, -1 for all the videos.
+     */
+    setLastN(value) {
+        if (this._lastN !== value) {
+            // the lastN is part of the receiver constraints once they are used
+            if (this._receiverVideoConstraints) {
+                this.setReceiverVideoConstraints({
+                    ...this._receiverVideoConstraints,
+                    lastN: value
+                });
+
+                return;
+            }
+
+            this._lastN = value;
+            if (this._channel && this._channel.isOpen()) {
+                this._channel.sendSetLastNMessage(value);
+            }
+        }
+    }
+
+    /**
+     * Sets the receiver video constraints: which endpoints are selected or on
+     * stage and the max resolution wanted from each of them. They supersede
+     * the lastN set with {@link setLastN} when they carry a lastN. The
+     * constraints are sent right away if the bridge channel is open, or once
+     * it opens.
+     * @param {Object} constraints the 'ReceiverVideoConstraints' message
+     * content.
+     */
+    setReceiverVideoConstraints(constraints) {
+        this._receiverVideoConstraints = constraints;
+
+        if (typeof constraints.lastN === 'number') {
+            this._lastN = constraints.lastN;
+        }
+
+        if (this._channel && this._channel.isOpen()) {
+            this._channel.sendNewReceiverVideoConstraintsMessage(constraints);
+        }
+    }
+
+    /**
+     * @returns {number} the number of videos the bridge is asked to forward.
+     */
+    getLastN() {
+        return this._lastN;
+    }
+
+    /**
+     * Checks whether the bridge forwards the video of an endpoint.
+     * @param {string} id the endpoint id.
+     * @returns {boolean} <tt>true</tt> if it does, or if the bridge has not
+     * reported the forwarded endpoints yet.
+     */
+    isInLastN(id) {
+        return !this._lastNEndpoints // lastNEndpoints not initialised yet.
+            || this._lastNEndpoints.indexOf(id) > -1;
     }
 
     static init(options = {}) {
@@ -22,14 +238,67 @@ export default class RTC extends Listenable {
         }
     }
 
-    safeCounterIncrement(number) {
-        let nextValue = number;
-    
-        if (number >= Number.MAX_SAFE_INTEGER) {
-            nextValue = 0;
-        }
-    
-        return nextValue + 1;
+    /**
+     * Creates the local MediaStreams and wraps them in JitsiLocalTracks.
+     *
+     * In the browser the media is captured with getUserMedia. Where there are
+     * no capture devices (e.g. Node with wrtc) nonstandard media sources can be
+     * passed instead: the tracks are then created with the source's
+     * <tt>createTrack()</tt> method and the data is pushed by the caller
+     * through the source.
+     *
+     * @param {Object} options
+     * @param {Array<string>} [options.devices=['audio', 'video']] the media
+     * types for which local tracks are to be created.
+     * @param {Object} [options.audioSource] the nonstandard source for the
+     * audio track (e.g. wrtc's <tt>nonstandard.RTCAudioSource</tt>).
+     * @param {Object} [options.videoSource] the nonstandard source for the
+     * video track (e.g. wrtc's <tt>nonstandard.RTCVideoSource</tt>).
+     * @param {string} [options.videoType='camera'] the video type of the video
+     * track.
+     * @param {number} [options.resolution] the height of the video frames.
+     * @param {Object} [options.constraints] getUserMedia constraints per media
+     * type.
+     * @returns {Promise<Array<JitsiLocalTrack>>}
+     */
+    static obtainAudioAndVideoPermissions(options = {}) {
+        const devices = options.devices || [ 'audio', 'video' ];
+        const sources = {
+            audio: options.audioSource,
+            video: options.videoSource
+        };
+        const sourceTracks = devices
+            .filter(mediaType => sources[mediaType])
+            .map(mediaType => {
+                return {
+                    source: sources[mediaType],
+                    track: sources[mediaType].createTrack()
+                };
+            });
+
+        return captureTracks(
+            devices.filter(mediaType => !sources[mediaType]),
+            options.constraints)
+            .then(capturedTracks =>
+                sourceTracks.concat(capturedTracks.map(track => {
+                    return { track };
+                })))
+            .then(trackInfos => trackInfos.map(({ source, track }) => {
+                rtcTrackIdCounter = safeCounterIncrement(rtcTrackIdCounter);
+
+                return new JitsiLocalTrack({
+                    deviceId: track.getSettings && track.getSettings().deviceId,
+                    mediaType: track.kind,
+                    resolution: options.resolution,
+                    rtcId: rtcTrackIdCounter,
+                    source,
+                    stream: new MediaStream([ track ]),
+                    track,
+                    videoType: track.kind === 'video'
+                        ? options.videoType || 'camera'
+                        : undefined
+                });
+            }));
     }
     /**
      * Creates new <tt>TraceablePeerConnection</tt>
@@ -49,7 +318,7 @@ export default class RTC extends Listenable {
         // This change is necessary for Unified plan to work properly on Chrome and Safari.
         iceConfig.bundlePolicy = 'max-bundle';
 
-        peerConnectionIdCounter = this.safeCounterIncrement(peerConnectionIdCounter);
+        peerConnectionIdCounter = safeCounterIncrement(peerConnectionIdCounter);
 
         const newConnection = new TraceablePeerConnection(this, peerConnectionIdCounter, signaling, iceConfig, pcConstraints, isP2P, options);
 
@@ -58,6 +327,39 @@ export default class RTC extends Listenable {
         return newConnection;
     }
 
+    /**
+     * Removed given peer connection from this RTC module instance.
+     * @param {TraceablePeerConnection} traceablePeerConnection
+     * @return {boolean} <tt>true</tt> if the given peer connection was removed
+     * successfully or <tt>false</tt> if there was no peer connection mapped in
+     * this RTC instance.
+     */
+    _removePeerConnection(traceablePeerConnection) {
+        const id = traceablePeerConnection.id;
+
+        if (this.peerConnections.has(id)) {
+            // NOTE Remote tracks are not removed here.
+            this.peerConnections.delete(id);
+
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Closes the peer connections which are still open and releases the
+     * references held by this RTC instance. Called when the conference is left.
+     */
+    destroy() {
+        this.closeBridgeChannel();
+        for (const peerConnection of this.peerConnections.values()) {
+            peerConnection.close();
+        }
+        this.peerConnections.clear();
+        this.localTracks = [];
+    }
+
     
     /**
      * Returns the endpoint id for the local user.
@@ -67,6 +369,44 @@ export default class RTC extends Listenable {
         return this.conference.myUserId();
     }
 
+    /**
+     * Adds a local track to the list of the tracks of this RTC instance.
+     * @param {JitsiLocalTrack} track
+     */
+    addLocalTrack(track) {
+        if (!track) {
+            throw new Error('track must not be null nor undefined');
+        }
+
+        this.localTracks.push(track);
+
+        track.conference = this.conference;
+    }
+
+    /**
+     * Removes the local track from the list of the tracks of this RTC
+     * instance.
+     * @param {JitsiLocalTrack} track
+     */
+    removeLocalTrack(track) {
+        const pos = this.localTracks.indexOf(track);
+
+        if (pos === -1) {
+            return;
+        }
+
+        this.localTracks.splice(pos, 1);
+    }
+
+    /**
+     * Stores the video type of the local video track which is currently
+     * being sent ('camera', 'desktop' or 'none').
+     * @param {string} videoType
+     */
+    setVideoType(videoType) {
+        this._videoType = videoType;
+    }
+
     /**
      * Returns the local tracks of the given media type, or all local tracks if
      * no specific type is given.
@@ -83,6 +423,25 @@ export default class RTC extends Listenable {
         return tracks;
     }
 
+    /**
+     * Removes all JitsiRemoteTracks associated with given MUC nickname
+     * (resource part of the JID).
+     * @param {string} owner the resource part of the MUC JID
+     * @returns {JitsiRemoteTrack[]} an array which holds all the tracks that
+     * have been removed from all the peer connections.
+     */
+    removeRemoteTracks(owner) {
+        let removedTracks = [];
+
+        for (const tpc of this.peerConnections.values()) {
+            const pcRemovedTracks = tpc.removeRemoteTracks(owner);
+
+            removedTracks = removedTracks.concat(pcRemovedTracks);
+        }
+
+        return removedTracks;
+    }
+
     /**
      * Returns <tt>true<tt/> if a WebRTC MediaStream identified by given stream
      * ID is considered a valid "user" stream which means that it's not a
@@ -119,6 +119,20 @@ export default function TraceablePeerConnection(
 
     this.tpcUtils = new TPCUtils(this, this.videoBitrates);
 
+    /**
+     * The max frame height the video sender is currently constrained to or
+     * <tt>null</tt> if no constraint has been applied yet.
+     * @type {number|null}
+     */
+    this.senderVideoMaxHeight = null;
+
+    /**
+     * Indicates whether the media transfer is enabled on this peer connection.
+     * It's disabled for the JVB connection while the P2P one is active.
+     * @type {boolean}
+     */
+    this.mediaTransferActive = true;
+
     /**
     * Flag used to indicate if the browser is running in unified  plan mode.
     */
@@ -429,7 +443,9 @@ const getters = {
         if (!desc) {
             return {};
         }
-        if (this._usesUnifiedPlan) {
+
+        // The P2P session is negotiated in unified plan on both sides.
+        if (this._usesUnifiedPlan && !this.isP2P) {
             desc = this.interop.toPlanB(desc);
         }
 
@@ -472,6 +488,302 @@ TraceablePeerConnection.prototype.addTrack = function (track, isInitiator = fals
     return promiseChain;
 };
 
+/**
+ * Returns the local tracks of the given media type added to this TPC.
+ * @param {string} [mediaType] optional media type filter ('audio' or 'video')
+ * @returns {Array<JitsiLocalTrack>}
+ */
+TraceablePeerConnection.prototype.getLocalTracks = function (mediaType) {
+    let tracks = Array.from(this.localTracks.values());
+
+    if (mediaType !== undefined) {
+        tracks = tracks.filter(track => track.getType() === mediaType);
+    }
+
+    return tracks;
+};
+
+/**
+ * Returns the local video track added to this TPC, if any.
+ * @returns {JitsiLocalTrack|undefined}
+ */
+TraceablePeerConnection.prototype.getLocalVideoTrack = function () {
+    return this.getLocalTracks('video')[0];
+};
+
+/**
+ * Finds the transceiver used for sending the given media type.
+ * @param {string} mediaType 'audio' or 'video'
+ * @param {JitsiLocalTrack} [localTrack] the track which is currently attached
+ * to the sender of the transceiver, if any.
+ * @returns {RTCRtpTransceiver|undefined}
+ */
+TraceablePeerConnection.prototype.findTransceiver = function (mediaType, localTrack = null) {
+    const transceivers = this.peerconnection.getTransceivers()
+        .filter(t => !t.stopped && t.receiver.track && t.receiver.track.kind === mediaType);
+    const webrtcTrack = localTrack && localTrack.getTrack();
+
+    return (webrtcTrack && transceivers.find(t => t.sender.track === webrtcTrack))
+        || transceivers.find(t => !t.sender.track)
+        || transceivers[0];
+};
+
+/**
+ * Finds the RTCRtpSender used for sending the given media type.
+ * @param {string} mediaType 'audio' or 'video'
+ * @returns {RTCRtpSender|undefined}
+ */
+TraceablePeerConnection.prototype.findSenderByKind = function (mediaType) {
+    return this.peerconnection.getSenders()
+        .find(sender => sender.track && sender.track.kind === mediaType);
+};
+
+/**
+ * Replaces <tt>oldTrack</tt> with <tt>newTrack</tt> on the sender of the
+ * matching transceiver. Either of the tracks can be null which turns the call
+ * into "add track" or "remove track".
+ * @param {JitsiLocalTrack|null} oldTrack the current track in use to be
+ * replaced
+ * @param {JitsiLocalTrack|null} newTrack the new track to use
+ * @returns {Promise<boolean>} resolves with <tt>true</tt> if an offer/answer
+ * cycle is needed for the change to take effect.
+ */
+TraceablePeerConnection.prototype.replaceTrack = function (oldTrack, newTrack) {
+    const mediaType = newTrack ? newTrack.getType() : oldTrack && oldTrack.getType();
+
+    if (!mediaType) {
+        return Promise.resolve(false);
+    }
+
+    const transceiver = this.findTransceiver(mediaType, oldTrack);
+
+    if (!transceiver) {
+        if (!newTrack) {
+            return Promise.resolve(false);
+        }
+
+        // There is no m-line for the media type yet, a new one has to be
+        // added and negotiated.
+        return this.addTrack(newTrack, true).then(() => true);
+    }
+
+    return transceiver.sender.replaceTrack(newTrack ? newTrack.getTrack() : null)
+        .then(() => {
+            oldTrack && this.localTracks.delete(oldTrack.rtcId);
+            newTrack && this.localTracks.set(newTrack.rtcId, newTrack);
+
+            const direction = this._getTransceiverDirection(Boolean(newTrack));
+            const shouldRenegotiate = transceiver.direction !== direction;
+
+            if (newTrack && newTrack.getOriginalStream() && transceiver.sender.setStreams) {
+                transceiver.sender.setStreams(newTrack.getOriginalStream());
+            }
+            transceiver.direction = direction;
+
+            return shouldRenegotiate;
+        });
+};
+
+/**
+ * Adds back the track which was previously removed from the peer connection
+ * in order to mute it (see {@link removeTrackMute}). The track stays in the
+ * local tracks of this TPC while muted, only the sender is detached.
+ * @param {JitsiLocalTrack} track the track to be unmuted
+ * @returns {Promise<boolean>} resolves with <tt>true</tt> if an offer/answer
+ * cycle is needed for the change to take effect.
+ */
+TraceablePeerConnection.prototype.addTrackUnmute = function (track) {
+    if (!this.localTracks.has(track.rtcId)) {
+        return Promise.reject(new Error(`${track} is not added to the peerconnection`));
+    }
+
+    const transceiver = this.findTransceiver(track.getType(), track);
+
+    if (!transceiver) {
+        return Promise.reject(new Error(`No transceiver found for ${track}`));
+    }
+
+    return transceiver.sender.replaceTrack(track.getTrack())
+        .then(() => {
+            const direction = this._getTransceiverDirection(true);
+            const shouldRenegotiate = transceiver.direction !== direction;
+
+            transceiver.direction = direction;
+
+            return shouldRenegotiate;
+        });
+};
+
+/**
+ * Detaches the given track from its sender in order to mute it. The direction
+ * of the transceiver is changed to 'recvonly', which results in the source
+ * being removed from the local description.
+ * @param {JitsiLocalTrack} track the track to be muted
+ * @returns {Promise<boolean>} resolves with <tt>true</tt> if an offer/answer
+ * cycle is needed for the change to take effect.
+ */
+TraceablePeerConnection.prototype.removeTrackMute = function (track) {
+    if (!this.localTracks.has(track.rtcId)) {
+        return Promise.reject(new Error(`${track} is not added to the peerconnection`));
+    }
+
+    const transceiver = this.findTransceiver(track.getType(), track);
+
+    if (!transceiver) {
+        return Promise.reject(new Error(`No transceiver found for ${track}`));
+    }
+
+    return transceiver.sender.replaceTrack(null)
+        .then(() => {
+            const direction = this._getTransceiverDirection(false);
+            const shouldRenegotiate = transceiver.direction !== direction;
+
+            transceiver.direction = direction;
+
+            return shouldRenegotiate;
+        });
+};
+
+/**
+ * Returns the direction which should be used for a transceiver, based on
+ * whether a local track is attached to its sender and whether the media
+ * transfer is active on this peer connection.
+ * @param {boolean} isSending <tt>true</tt> if the sender has a track.
+ * @returns {string}
+ * @private
+ */
+TraceablePeerConnection.prototype._getTransceiverDirection = function (isSending) {
+    if (!this.mediaTransferActive) {
+        return 'inactive';
+    }
+
+    return isSending ? 'sendrecv' : 'recvonly';
+};
+
+/**
+ * Enables/disables the media transfer on this peer connection by changing the
+ * direction of the negotiated transceivers.
+ * @param {boolean} active <tt>true</tt> to enable the media transfer.
+ * @returns {boolean} <tt>true</tt> if an offer/answer cycle is needed for the
+ * change to take effect.
+ */
+TraceablePeerConnection.prototype.setMediaTransferActive = function (active) {
+    let shouldRenegotiate = false;
+
+    this.mediaTransferActive = active;
+
+    for (const transceiver of this.peerconnection.getTransceivers()) {
+        if (transceiver.stopped || !transceiver.mid) {
+            continue;
+        }
+
+        const direction = this._getTransceiverDirection(Boolean(transceiver.sender.track));
+
+        if (transceiver.direction !== direction) {
+            transceiver.direction = direction;
+            shouldRenegotiate = true;
+        }
+    }
+
+    return shouldRenegotiate;
+};
+
+/**
+ * Configures the degradation preference on the video sender, so that the
+ * frame rate is kept for camera tracks and the resolution for desktop tracks.
+ * @returns {Promise} resolved when done.
+ */
+TraceablePeerConnection.prototype.setSenderVideoDegradationPreference = function () {
+    const localVideoTrack = this.getLocalVideoTrack();
+    const videoSender = this.findSenderByKind('video');
+
+    if (!localVideoTrack || !videoSender || !videoSender.setParameters) {
+        return Promise.resolve();
+    }
+
+    const parameters = videoSender.getParameters();
+
+    parameters.degradationPreference = localVideoTrack.getVideoType() === 'desktop'
+        ? 'maintain-resolution'
+        : 'maintain-framerate';
+
+    return videoSender.setParameters(parameters);
+};
+
+/**
+ * Applies the configured max bitrate on the video sender.
+ * @returns {Promise} resolved when done.
+ */
+TraceablePeerConnection.prototype.setMaxBitRate = function () {
+    const localVideoTrack = this.getLocalVideoTrack();
+    const videoSender = this.findSenderByKind('video');
+
+    if (!localVideoTrack || !videoSender || !videoSender.setParameters) {
+        return Promise.resolve();
+    }
+
+    const parameters = videoSender.getParameters();
+
+    if (!parameters.encodings || !parameters.encodings.length) {
+        return Promise.resolve();
+    }
+
+    parameters.encodings[0].maxBitrate = this.videoBitrates.high;
+
+    return videoSender.setParameters(parameters);
+};
+
+/**
+ * Caps the resolution of the video sent on this peer connection.
+ * @param {number|null} [frameHeight] the max frame height to be sent, 0 to
+ * stop sending video, <tt>Infinity</tt> to remove the cap or <tt>null</tt> to
+ * re-apply the last value.
+ * @returns {Promise} resolved when done.
+ */
+TraceablePeerConnection.prototype.setSenderVideoConstraint = function (frameHeight = null) {
+    if (frameHeight < 0) {
+        return Promise.reject(new Error(`Invalid frameHeight: ${frameHeight}`));
+    }
+
+    // Need to explicitly check for null as 0 is falsy, but a valid value
+    const newHeight = frameHeight === null ? this.senderVideoMaxHeight : frameHeight;
+
+    this.senderVideoMaxHeight = newHeight;
+
+    if (newHeight === null) {
+        return Promise.resolve();
+    }
+
+    const localVideoTrack = this.getLocalVideoTrack();
+    const videoSender = this.findSenderByKind('video');
+
+    if (!localVideoTrack || localVideoTrack.isMuted() || !videoSender || !videoSender.setParameters) {
+        return Promise.resolve();
+    }
+
+    const parameters = videoSender.getParameters();
+
+    if (!parameters.encodings || !parameters.encodings.length) {
+        return Promise.resolve();
+    }
+
+    if (newHeight > 0) {
+        // Do not scale down encodings for desktop tracks. An Infinity height
+        // is never below the resolution, so the cap is removed.
+        const resolution = localVideoTrack.resolution;
+        const scaleFactor = localVideoTrack.getVideoType() === 'desktop' || !resolution || resolution <= newHeight
+            ? 1.0
+            : Math.floor(resolution / newHeight);
+
+        parameters.encodings[0].active = true;
+        parameters.encodings[0].scaleResolutionDownBy = scaleFactor;
+    } else {
+        parameters.encodings[0].active = false;
+    }
+
+    return videoSender.setParameters(parameters);
+};
+
 TraceablePeerConnection.prototype.setLocalDescription = function (description) {
     let localSdp = description;
     localSdp = this.interop.toUnifiedPlan(localSdp);
@@ -496,8 +808,11 @@ TraceablePeerConnection.prototype.setLocalDescription = function (description) {
 
 TraceablePeerConnection.prototype.setRemoteDescription = function (description) {
 
-    const currentDescription = this.peerconnection.remoteDescription;
-    description = this.interop.toUnifiedPlan(description, currentDescription);
+    if (!this.isP2P) {
+        const currentDescription = this.peerconnection.remoteDescription;
+
+        description = this.interop.toUnifiedPlan(description, currentDescription);
+    }
 
     if (this._usesUnifiedPlan) {
         description = this.tpcUtils.ensureCorrectOrderOfSsrcs(description);
@@ -554,3 +869,113 @@ TraceablePeerConnection.prototype._createOfferOrAnswer = function (
         oaPromise.then(sdp => handleSuccess(sdp, resolve, reject), error => handleFailure(error, reject));
     });
 };
+
+/**
+ * Obtains all remote tracks currently known to this PeerConnection instance.
+ * @param {string} [endpointId] the track owner's identifier (MUC nickname)
+ * @param {string} [mediaType] the remote tracks will be filtered by their
+ * media type if this argument is specified.
+ * @return {Array<JitsiRemoteTrack>}
+ */
+TraceablePeerConnection.prototype.getRemoteTracks = function (endpointId, mediaType) {
+    const remoteTracks = [];
+    const endpoints = endpointId ? [ endpointId ] : this.remoteTracks.keys();
+
+    for (const endpoint of endpoints) {
+        const endpointTrackMap = this.remoteTracks.get(endpoint);
+
+        if (!endpointTrackMap) {
+            continue;
+        }
+
+        for (const trackMediaType of endpointTrackMap.keys()) {
+            // per media type filtering
+            if (!mediaType || mediaType === trackMediaType) {
+                remoteTracks.push(endpointTrackMap.get(trackMediaType));
+            }
+        }
+    }
+
+    return remoteTracks;
+};
+
+/**
+ * Removes and disposes given <tt>JitsiRemoteTrack</tt> instance. Emits
+ * 'rtc.remote_track_removed'.
+ * @param {JitsiRemoteTrack} toBeRemoved
+ */
+TraceablePeerConnection.prototype._removeRemoteTrack = function (toBeRemoved) {
+    toBeRemoved.dispose();
+    const participantId = toBeRemoved.getParticipantId();
+    const remoteTracksMap = this.remoteTracks.get(participantId);
+
+    if (remoteTracksMap) {
+        remoteTracksMap.delete(toBeRemoved.getType());
+    }
+    this.eventEmitter.emit('rtc.remote_track_removed', toBeRemoved);
+};
+
+/**
+ * Removes and disposes the remote tracks which are using any of the given
+ * SSRCs. Emits 'rtc.remote_track_removed' for each one of them.
+ * @param {Array<number>} ssrcs the SSRCs of the sources removed by the remote
+ * side.
+ * @returns {JitsiRemoteTrack[]} the tracks that have been removed.
+ */
+TraceablePeerConnection.prototype.removeRemoteTracksBySsrc = function (ssrcs) {
+    const removedTracks
+        = this.getRemoteTracks().filter(track => ssrcs.indexOf(track.getSSRC()) !== -1);
+
+    removedTracks.forEach(track => this._removeRemoteTrack(track));
+
+    return removedTracks;
+};
+
+/**
+ * Removes all JitsiRemoteTracks associated with given MUC nickname
+ * (resource part of the JID). The tracks are disposed, but no
+ * 'rtc.remote_track_removed' event is emitted for them.
+ * @param {string} owner the resource part of the MUC JID
+ * @returns {JitsiRemoteTrack[]} an array which holds all the tracks that
+ * have been removed.
+ */
+TraceablePeerConnection.prototype.removeRemoteTracks = function (owner) {
+    const removedTracks = [];
+    const remoteTracksMap = this.remoteTracks.get(owner);
+
+    if (remoteTracksMap) {
+        const removedAudioTrack = remoteTracksMap.get('audio');
+        const removedVideoTrack = remoteTracksMap.get('video');
+
+        removedAudioTrack && removedTracks.push(removedAudioTrack);
+        removedVideoTrack && removedTracks.push(removedVideoTrack);
+
+        this.remoteTracks.delete(owner);
+    }
+
+    removedTracks.forEach(track => track.dispose());
+
+    return removedTracks;
+};
+
+/**
+ * Closes underlying WebRTC PeerConnection instance and removes all remote
+ * tracks by emitting 'rtc.remote_track_removed' for each one of them.
+ */
+TraceablePeerConnection.prototype.close = function () {
+    if (this._usesUnifiedPlan) {
+        this.peerconnection.removeEventListener('track', this.onTrack);
+    }
+
+    for (const peerTracks of this.remoteTracks.values()) {
+        for (const remoteTrack of peerTracks.values()) {
+            this._removeRemoteTrack(remoteTrack);
+        }
+    }
+    this.remoteTracks.clear();
+    this.localTracks.clear();
+
+    this.rtc._removePeerConnection(this);
+
+    this.peerconnection.close();
+};
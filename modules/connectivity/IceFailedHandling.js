@@ -0,0 +1,97 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
+
+const logger = getLogger(__filename);
+
+/**
+ * This class deals with the JVB media session's ICE failed status handling.
+ *
+ * The conference gives the ICE connection some time to recover on its own. If it does not, then either an ICE failed
+ * notification is sent to Jicofo, which replies with 'transport-replace' (when ICE restarts are enabled with the
+ * {@code enableIceRestart} config option), or the session is terminated with a request for Jicofo to restart it.
+ */
+export default class IceFailedHandling {
+    /**
+     * Creates new {@code IceFailedHandling} task.
+     * @param {JitsiConference} conference
+     * @param {number} delay - How long to wait (in ms) for the ICE connection
+     * to recover on its own, before acting on the failure.
+     */
+    constructor(conference, delay) {
+        this._conference = conference;
+        this._delay = delay;
+    }
+
+    /**
+     * After making sure there's no way for the ICE connection to recover this method either sends ICE failed
+     * notification to Jicofo or requests the session restart with 'session-terminate'.
+     * @private
+     * @returns {void}
+     */
+    _actOnIceFailed() {
+        const { enableIceRestart } = this._conference.options.config;
+        const jvbConnection = this._conference.jvbJingleSession;
+        const jvbConnIceState = jvbConnection && jvbConnection.getIceConnectionState();
+
+        if (!jvbConnection) {
+            logger.warn('Not sending ICE failed - no JVB connection');
+
+            return;
+        } else if (jvbConnIceState === 'connected') {
+            logger.info('ICE connection restored - not sending ICE failed');
+
+            return;
+        }
+
+        logger.info(`Sending ICE failed - the connection did not recover, ICE state: ${jvbConnIceState}, `
+            + `use 'session-terminate': ${!enableIceRestart}`);
+
+        if (enableIceRestart) {
+            // Jicofo will respond with 'transport-replace' which restarts ICE
+            jvbConnection.sendIceFailedNotification();
+        } else {
+            jvbConnection.terminate(
+                () => {
+                    logger.info('session-terminate for ice restart - done');
+                },
+                error => {
+                    logger.error(`session-terminate for ice restart - error: ${error && error.reason}`);
+                    this._conference.eventEmitter.emit('conference.failed', 'conference.iceFailed');
+                }, {
+                    reason: 'connectivity-error',
+                    reasonDescription: 'ICE FAILED',
+                    requestRestart: true,
+                    sendSessionTerminate: true
+                });
+
+            // The session is closed locally right away, so drop it (and the
+            // bridge channel) until Jicofo sends a new 'session-initiate'.
+            this._conference.onCallEnded(jvbConnection, 'connectivity-error', 'ICE FAILED');
+        }
+    }
+
+    /**
+     * Starts the task.
+     * @returns {void}
+     */
+    start() {
+        this._iceFailedTimeout = setTimeout(() => {
+            this._iceFailedTimeout = undefined;
+            if (!this._canceled) {
+                this._actOnIceFailed();
+            }
+        }, this._delay);
+    }
+
+    /**
+     * Cancels the task.
+     * @returns {void}
+     */
+    cancel() {
+        this._canceled = true;
+        if (this._iceFailedTimeout) {
+            clearTimeout(this._iceFailedTimeout);
+            this._iceFailedTimeout = undefined;
+        }
+    }
+}
@@ -0,0 +1,187 @@
+import SDPUtil from './SDPUtil';
+
+/**
+ * A comparator which can be used to compute the media sources (SSRCs and SSRC
+ * groups) which are present in one SDP, but not in the other one.
+ * @param {SDP} mySDP the "old" SDP
+ * @param {SDP} otherSDP the "new" SDP
+ * @constructor
+ */
+export default function SDPDiffer(mySDP, otherSDP) {
+    this.mySDP = mySDP;
+    this.otherSDP = otherSDP;
+    if (!mySDP) {
+        throw new Error('"mySDP" is undefined!');
+    } else if (!otherSDP) {
+        throw new Error('"otherSDP" is undefined!');
+    }
+}
+
+/**
+ * Checks if given arrays have the same elements in the same order.
+ * @param {Array} array1
+ * @param {Array} array2
+ * @returns {boolean}
+ */
+function arrayEquals(array1, array2) {
+    if (array1.length !== array2.length) {
+        return false;
+    }
+
+    for (let i = 0; i < array1.length; i++) {
+        if (array1[i] !== array2[i]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Returns map of MediaChannel that contains media contained in
+ * 'mySDP', but not contained in 'otherSdp'. Mapped by channel idx.
+ */
+SDPDiffer.prototype.getNewMedia = function() {
+    const myMedias = this.mySDP.getMediaSsrcMap();
+    const othersMedias = this.otherSDP.getMediaSsrcMap();
+    const newMedia = {};
+
+    const allocateChannel = othersMediaIdx => {
+        if (!newMedia[othersMediaIdx]) {
+            const othersMedia = othersMedias[othersMediaIdx];
+
+            newMedia[othersMediaIdx] = {
+                mediaindex: othersMedia.mediaindex,
+                mid: othersMedia.mid,
+                ssrcs: {},
+                ssrcGroups: []
+            };
+        }
+
+        return newMedia[othersMediaIdx];
+    };
+
+    Object.keys(othersMedias).forEach(othersMediaIdx => {
+        const myMedia = myMedias[othersMediaIdx];
+        const othersMedia = othersMedias[othersMediaIdx];
+
+        if (!myMedia && othersMedia) {
+            // Add whole channel
+            newMedia[othersMediaIdx] = othersMedia;
+
+            return;
+        }
+
+        // Look for new ssrcs across the channel
+        Object.keys(othersMedia.ssrcs).forEach(ssrc => {
+            if (Object.keys(myMedia.ssrcs).indexOf(ssrc) === -1) {
+                // Allocate channel if we've found ssrc that doesn't exist in
+                // our channel
+                allocateChannel(othersMediaIdx).ssrcs[ssrc]
+                    = othersMedia.ssrcs[ssrc];
+            } else if (othersMedia.ssrcs[ssrc].lines
+                        && myMedia.ssrcs[ssrc].lines) {
+                // we want to detect just changes in adding/removing msid
+                const myContainMsid = myMedia.ssrcs[ssrc].lines.find(
+                    line => line.indexOf('msid') !== -1) !== undefined;
+                const newContainMsid = othersMedia.ssrcs[ssrc].lines.find(
+                    line => line.indexOf('msid') !== -1) !== undefined;
+
+                if (myContainMsid !== newContainMsid) {
+                    allocateChannel(othersMediaIdx).ssrcs[ssrc]
+                        = othersMedia.ssrcs[ssrc];
+                }
+            }
+        });
+
+        // Look for new ssrc groups across the channels
+        othersMedia.ssrcGroups.forEach(otherSsrcGroup => {
+            // try to match the other ssrc-group with an ssrc-group of ours
+            const matched = myMedia.ssrcGroups.some(
+                mySsrcGroup =>
+                    otherSsrcGroup.semantics === mySsrcGroup.semantics
+                        && arrayEquals(otherSsrcGroup.ssrcs, mySsrcGroup.ssrcs));
+
+            if (!matched) {
+                // Allocate channel if we've found an ssrc-group that doesn't
+                // exist in our channel
+                allocateChannel(othersMediaIdx).ssrcGroups.push(otherSsrcGroup);
+            }
+        });
+    });
+
+    return newMedia;
+};
+
+/**
+ * Adds the 'content' elements describing the new media sources to the given
+ * Jingle 'source-add' or 'source-remove' IQ.
+ * @param {Strophe.Builder} modify the IQ positioned at the 'jingle' element
+ * @returns {boolean} <tt>true</tt> if any sources were added to the IQ.
+ */
+SDPDiffer.prototype.toJingle = function(modify) {
+    const sdpMediaSsrcs = this.getNewMedia();
+    let modified = false;
+
+    Object.keys(sdpMediaSsrcs).forEach(mediaindex => {
+        modified = true;
+        const media = sdpMediaSsrcs[mediaindex];
+
+        modify.c('content', { name: media.mid });
+
+        modify.c('description', {
+            xmlns: 'urn:xmpp:jingle:apps:rtp:1',
+            media: media.mid
+        });
+
+        // generate sources from lines
+        Object.keys(media.ssrcs).forEach(ssrcNum => {
+            const mediaSsrc = media.ssrcs[ssrcNum];
+
+            modify.c('source', { xmlns: 'urn:xmpp:jingle:apps:rtp:ssma:0' });
+            modify.attrs({ ssrc: mediaSsrc.ssrc });
+
+            // iterate over ssrc lines
+            mediaSsrc.lines.forEach(line => {
+                const idx = line.indexOf(' ');
+                const kv = line.substr(idx + 1);
+
+                modify.c('parameter');
+                if (kv.indexOf(':') === -1) {
+                    modify.attrs({ name: kv });
+                } else {
+                    const nv = kv.split(':', 2);
+                    const name = nv[0];
+                    const value = SDPUtil.filterSpecialChars(nv[1]);
+
+                    modify.attrs({ name });
+                    modify.attrs({ value });
+                }
+                modify.up(); // end of parameter
+            });
+            modify.up(); // end of source
+        });
+
+        // generate source groups from lines
+        media.ssrcGroups.forEach(ssrcGroup => {
+            if (ssrcGroup.ssrcs.length) {
+
+                modify.c('ssrc-group', {
+                    semantics: ssrcGroup.semantics,
+                    xmlns: 'urn:xmpp:jingle:apps:rtp:ssma:0'
+                });
+
+                ssrcGroup.ssrcs.forEach(ssrc => {
+                    modify.c('source', { ssrc })
+                        .up(); // end of source
+                });
+                modify.up(); // end of ssrc-group
+            }
+        });
+
+        modify.up(); // end of description
+        modify.up(); // end of content
+    });
+
+    return modified;
+};
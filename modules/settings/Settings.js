@@ -0,0 +1,86 @@
+/* global __filename */
+import { jitsiLocalStorage } from '@jitsi/js-utils';
+import { getLogger } from 'jitsi-meet-logger';
+
+import RandomUtil from '../util/RandomUtil';
+
+const logger = getLogger(__filename);
+
+let _machineId;
+
+/**
+ * Generates a new machine ID.
+ *
+ * @returns {string} - A random hex string.
+ */
+function generateJitsiMeetId() {
+    const jitsiMeetId = RandomUtil.randomHexString(32);
+
+    logger.log('generated id', jitsiMeetId);
+
+    return jitsiMeetId;
+}
+
+/**
+ * The persistent settings of the library, kept in the local storage (or in
+ * memory when there is none, like in Node).
+ */
+export default {
+
+    /**
+     * The storage used to store the settings.
+     */
+    _storage: jitsiLocalStorage,
+
+    /**
+     * Initializes the Settings class.
+     *
+     * @param {Storage|undefined} externalStorage - Object that implements the Storage interface. This object will be
+     * used for storing data instead of jitsiLocalStorage if specified.
+     */
+    init(externalStorage) {
+        this._storage = externalStorage || jitsiLocalStorage;
+    },
+
+    /**
+     * Returns the ID of the machine (the browser or the Node process storage),
+     * generated and stored on the first use.
+     *
+     * @returns {string} machine id
+     */
+    get machineId() {
+        if (!_machineId) {
+            _machineId = this._storage.getItem('jitsiMeetId');
+            if (!_machineId) {
+                _machineId = generateJitsiMeetId();
+                this._storage.setItem('jitsiMeetId', _machineId);
+            }
+        }
+
+        return _machineId;
+    },
+
+    /**
+     * Returns current session id, assigned by Jicofo to an authenticated user.
+     *
+     * @returns {string} current session id
+     */
+    get sessionId() {
+        // We may update sessionId in localStorage from another JitsiConference
+        // instance and that's why we should always re-read it.
+        return this._storage.getItem('sessionId');
+    },
+
+    /**
+     * Save current session id.
+     *
+     * @param {string} sessionId session id
+     */
+    set sessionId(sessionId) {
+        if (sessionId) {
+            this._storage.setItem('sessionId', sessionId);
+        } else {
+            this._storage.removeItem('sessionId');
+        }
+    }
+};
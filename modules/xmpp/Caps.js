@@ -31,4 +31,39 @@ export default class Caps extends Listenable {
     addFeature(feature) {
         this.disco.addFeature(feature);
     }
+
+    /**
+     * Queries the features and the identities of an entity with disco#info.
+     * @param {String} jid the jid of the entity.
+     * @param {number} timeout the timeout in ms for the request.
+     * @returns {Promise} resolved with an object with the 'features' (a Set of
+     * strings) and 'identities' (a Set of {category, type, name} objects) of
+     * the entity.
+     */
+    getFeaturesAndIdentities(jid, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            this.disco.info(
+                jid,
+                null,
+                response => {
+                    const features = new Set();
+                    const identities = new Set();
+
+                    $(response).find('>query>feature')
+                        .each((_, el) => features.add(el.getAttribute('var')));
+                    $(response).find('>query>identity')
+                        .each((_, el) => identities.add({
+                            category: el.getAttribute('category'),
+                            name: el.getAttribute('name'),
+                            type: el.getAttribute('type')
+                        }));
+                    resolve({
+                        features,
+                        identities
+                    });
+                },
+                reject,
+                timeout);
+        });
+    }
 }
@@ -1,10 +1,23 @@
-import { $msg, $pres, Strophe } from 'strophe.js';
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
+import isEqual from 'lodash.isequal';
+import { $iq, $msg, $pres, Strophe } from 'strophe.js';
 
 import Listenable from '../util/Listenable';
 
+import Lobby from './Lobby';
 import XmppConnection from './XmppConnection';
 import Moderator from './moderator';
 
+const logger = getLogger(__filename);
+
+/**
+ * How long (in ms) presence updates are collected before they are sent, so
+ * that several changes made in a row go out in a single stanza.
+ * @type {number}
+ */
+const PRESENCE_SEND_DELAY = 50;
+
 export const parser = {
     packet2JSON(xmlElement, nodes) {
         for (const child of Array.from(xmlElement.children)) {
@@ -73,6 +86,8 @@ function filterNodeFromPresenceJSON(pres, nodeName) {
  * Array of affiliations that are allowed in members only room.
  * @type {string[]}
  */
+const MEMBERS_AFFILIATIONS = [ 'owner', 'admin', 'member' ];
+
 export default class ChatRoom extends Listenable {
     /**
      *
@@ -99,6 +114,8 @@ export default class ChatRoom extends Listenable {
         this.presHandlers = {};
         this.joined = false;
         this.role = null;
+        this.affiliation = null;
+        this.membersOnlyEnabled = false;
         this.focusMucJid = null;
         this.options = options || {};
         this.moderator
@@ -110,6 +127,22 @@ export default class ChatRoom extends Listenable {
         this.lastPresences = {};
         this.participantPropertyListener = null;
 
+        /**
+         * The room information published with disco#info (the
+         * 'muc#roominfo_' fields without the prefix, e.g. 'meetingId').
+         * @type {Object}
+         */
+        this.roomInfo = {};
+
+        if (this.options.enableLobby !== false) {
+            this.lobby = new Lobby(this);
+        }
+
+        this._removeConnListeners = [
+            this.connection.addEventListener(
+                XmppConnection.Events.CONN_STATUS_CHANGED,
+                this.onConnStatusChanged.bind(this))
+        ];
     }
 
     /* eslint-enable max-params */
@@ -128,30 +161,85 @@ export default class ChatRoom extends Listenable {
     /**
      * Joins the chat room.
      * @param {string} password - Password to unlock room on joining.
-     * @returns {Promise} - resolved when join completes. At the time of this
-     * writing it's never rejected.
+     * @returns {Promise} - resolved when join completes, rejected when the
+     * conference focus could not be allocated (see
+     * {@link Moderator#allocateConferenceFocus}).
      */
     join(password, replaceParticipant) {
         console.log("----------Join Chat Room---------: ", this.options.disableFocus)
         this.password = password;
         this.replaceParticipant = replaceParticipant;
 
-        return new Promise(resolve => {
-            const preJoin = this.moderator.allocateConferenceFocus();
+        if (this.options.disableFocus) {
+            this.sendPresence(true);
 
-            preJoin.then(() => {
+            return Promise.resolve();
+        }
+
+        return this.moderator.allocateConferenceFocus()
+            .then(() => {
                 console.log("----------After send Iq create conference---------")
                 this.sendPresence(true);
-                resolve();
             });
-        });
     }
 
     /**
+     * Resends the presence once the connection has been restored, as the
+     * updates made while disconnected were not sent.
+     * @param {Strophe.Status} status - The new connection status.
+     */
+    onConnStatusChanged(status) {
+        if (status === XmppConnection.Status.CONNECTED) {
+            this.sendPresence();
+        }
+    }
+
+    /**
+     * Sends the presence map to the room. The initial (join) presence is sent
+     * right away, while updates are debounced by {@link PRESENCE_SEND_DELAY}
+     * so that a burst of changes results in a single stanza.
      *
      * @param fromJoin - Whether this is initial presence to join the room.
      */
     sendPresence(fromJoin) {
+        if (fromJoin) {
+            this._clearPendingPresence();
+            this._doSendPresence(true);
+
+            return;
+        }
+
+        if (this._sendPresenceTimeout) {
+            return;
+        }
+
+        this._sendPresenceTimeout = setTimeout(() => {
+            this._sendPresenceTimeout = undefined;
+            this._doSendPresence(false);
+        }, PRESENCE_SEND_DELAY);
+    }
+
+    /**
+     * Cancels a debounced presence update, if any.
+     * @private
+     * @returns {void}
+     */
+    _clearPendingPresence() {
+        if (this._sendPresenceTimeout) {
+            clearTimeout(this._sendPresenceTimeout);
+            this._sendPresenceTimeout = undefined;
+        }
+    }
+
+    /**
+     * Builds the presence stanza from the presence map and sends it.
+     *
+     * @param {boolean} fromJoin - Whether this is initial presence to join the
+     * room.
+     * @private
+     * @returns {void}
+     */
+    _doSendPresence(fromJoin) {
         console.log("----------SendPresencee---------: ", fromJoin)
         const to = this.presMap.to;
 
@@ -174,9 +262,9 @@ export default class ChatRoom extends Listenable {
 
             pres.c('x', { xmlns: this.presMap.xns });
 
-            // if (this.password) {
-            //     pres.c('password').t(this.password).up();
-            // }
+            if (this.password) {
+                pres.c('password').t(this.password).up();
+            }
             // if (this.options.billingId) {
             //     pres.c('billingid').t(this.options.billingId).up();
             // }
@@ -187,7 +275,7 @@ export default class ChatRoom extends Listenable {
         parser.json2packet(this.presMap.nodes, pres);
 
         // we store time we last synced presence state
-        // this.presenceSyncTime = Date.now();
+        this.presenceSyncTime = Date.now();
         console.log("----------Chat Room -> Send stanza----------")
         this.connection.send(pres);
         // if (fromJoin) {
@@ -249,6 +337,9 @@ export default class ChatRoom extends Listenable {
         const nodes = [];
 
         parser.packet2JSON(pres, nodes);
+
+        const previousNodes = this.lastPresences[from] || [];
+
         this.lastPresences[from] = nodes;
 
 
@@ -259,10 +350,27 @@ export default class ChatRoom extends Listenable {
                 case 'userId':
                     member.id = node.value;
                     break;
+                case 'nick':
+                    member.nick = node.value;
+                    break;
+                case 'email':
+                    member.email = node.value;
+                    break;
+                case 'avatar-url':
+                    member.avatarURL = node.value;
+                    break;
+                case 'stats-id':
+                    member.statsID = node.value;
+                    break;
             }
         }
 
         if (from === this.myroomjid) {
+            this.affiliation = member.affiliation;
+            if (this.role !== member.role) {
+                this.role = member.role;
+                this.eventEmitter.emit('xmpp.localrole_changed', this.role);
+            }
             if (!this.joined) {
                 this.joined = true;
                 // Re-send presence in case any presence updates were added,
@@ -274,6 +382,10 @@ export default class ChatRoom extends Listenable {
 
                 this.eventEmitter.emit('xmpp.muc_joined');
 
+                if (!this.options.disableDiscoInfo) {
+                    this.discoRoomInfo();
+                }
+
             }
         } else if (this.members[from] === undefined) {
             // new participant
@@ -298,8 +410,366 @@ export default class ChatRoom extends Listenable {
                     member.features,
                     member.isReplaceParticipant);
             }
-        } 
+        } else {
+            // Presence update for existing participant
+            const memberOfThis = this.members[from];
+
+            memberOfThis.nick = member.nick;
+            memberOfThis.email = member.email;
+            memberOfThis.avatarURL = member.avatarURL;
+            memberOfThis.statsID = member.statsID;
+            memberOfThis.affiliation = member.affiliation;
+
+            if (memberOfThis.role !== member.role) {
+                memberOfThis.role = member.role;
+                this.eventEmitter.emit(
+                    'xmpp.muc_role_changed', from, member.role);
+            }
+        }
+
+        // after we had fired member or room joined events, lets fire events
+        // for the rest info we got in presence
+        if (!member.isFocus) {
+            this.eventEmitter.emit('xmpp.display_name_changed', from, member.nick);
+            this.eventEmitter.emit(
+                'xmpp.participant_info_changed', from, {
+                    avatarURL: member.avatarURL,
+                    email: member.email
+                });
+        }
+
+        // notify the presence listeners about the nodes which have changed
+        // since the last presence of that occupant
+        for (let i = 0; i < nodes.length; i++) {
+            const node = nodes[i];
+            const previousNode
+                = previousNodes.find(n => n.tagName === node.tagName);
+
+            if (!previousNode || !isEqual(previousNode, node)) {
+                this.processNode(node, from);
+            }
+        }
+    }
+
+    /**
+     * Invokes the presence listeners registered for the tag of the given node.
+     *
+     * @param {Object} node - The presence node in the JSON format produced by
+     * {@link parser.packet2JSON}.
+     * @param {string} from - The MUC JID of the occupant which sent it.
+     */
+    processNode(node, from) {
+        const tagHandlers = this.presHandlers[node.tagName] || [];
+
+        // make sure an error in one of the handlers doesn't break the
+        // processing of the presence
+        tagHandlers.forEach(handler => {
+            try {
+                handler(node, Strophe.getResourceFromJid(from), from);
+            } catch (e) {
+                logger.error(`Error processing:${node.tagName} node.`, e);
+            }
+        });
+    }
+    /**
+     * Handles unavailable presence received from the room. Covers the case of
+     * a participant leaving or being kicked, the room being destroyed and our
+     * own exit from the room.
+     * @param pres the presence stanza
+     * @param from the MUC JID of the occupant which left
+     */
+    onPresenceUnavailable(pres, from) {
+        // ignore presence
+        if ($(pres).find('>ignore[xmlns="http://jitsi.org/jitmeet/"]').length) {
+            return true;
+        }
+
+        // room destroyed ?
+        const destroySelect = $(pres).find(
+            '>x[xmlns="http://jabber.org/protocol/muc#user"]>destroy');
+
+        if (destroySelect.length) {
+            let reason;
+            const reasonSelect = destroySelect.find('>reason');
+
+            if (reasonSelect.length) {
+                reason = reasonSelect.text();
+            }
+
+            this._removeAllMembers();
+            this.joined = false;
+            this.connection.emuc.doLeave(this.roomjid);
+            this.eventEmitter.emit('xmpp.muc_destroyed', reason, destroySelect.attr('jid'));
+
+            return true;
+        }
+
+        // Status code 110 indicates that this notification is "self-presence".
+        const isSelfPresence = from === this.myroomjid
+            || $(pres).find(
+                '>x[xmlns="http://jabber.org/protocol/muc#user"]>status[code="110"]').length > 0;
+        const isKick = $(pres).find(
+            '>x[xmlns="http://jabber.org/protocol/muc#user"]>status[code="307"]').length > 0;
+
+        if (isSelfPresence) {
+            // We are no longer in the room, mark it before notifying anyone
+            // so that leaving from a listener does not wait for a reply.
+            this.joined = false;
+        }
+
+        if (isKick) {
+            const actorSelect = $(pres).find(
+                '>x[xmlns="http://jabber.org/protocol/muc#user"]>item>actor');
+            let actorNick;
+
+            if (actorSelect.length) {
+                actorNick = actorSelect.attr('nick');
+            }
+
+            // we first fire the kicked so we can show the participant
+            // who kicked, before notifying that participant left
+            // we fire kicked for us and for any participant kicked
+            this.eventEmitter.emit(
+                'xmpp.kicked',
+                isSelfPresence,
+                actorNick,
+                Strophe.getResourceFromJid(from));
+        }
+
+        if (isSelfPresence) {
+            // We're leaving (or have been kicked), so remove everyone else
+            // from our view.
+            this._removeAllMembers();
+            this.connection.emuc.doLeave(this.roomjid);
+
+            // we fire muc_left only if this is not a kick,
+            // kick has both statuses 110 and 307.
+            if (!isKick) {
+                this.eventEmitter.emit('xmpp.muc_left');
+            }
+        } else {
+            const member = this.members[from];
+
+            delete this.members[from];
+            this.onParticipantLeft(from, member && member.isFocus);
+
+            if (member && member.isFocus) {
+                this.eventEmitter.emit('xmpp.focus_left');
+            }
+        }
+    }
+
+    /**
+     * Configures the room we have just created (we're its owner), which is
+     * locked until the configuration form is submitted (XEP-0045, 10.1.3).
+     * The room is made non-anonymous (whois=anyone) and the room
+     * configuration passed with {@code options.roomConfig} is applied, if the
+     * server supports it.
+     */
+    createNonAnonymousRoom() {
+        // http://xmpp.org/extensions/xep-0045.html#createroom-reserved
+        const getForm = $iq({
+            type: 'get',
+            to: this.roomjid
+        })
+            .c('query', { xmlns: 'http://jabber.org/protocol/muc#owner' });
+
+        this.connection.sendIQ(getForm, form => {
+            const hasField = name => $(form).find(
+                `>query>x[xmlns="jabber:x:data"]>field[var="${name}"]`).length > 0;
+
+            const formSubmit = $iq({
+                to: this.roomjid,
+                type: 'set'
+            })
+                .c('query', { xmlns: 'http://jabber.org/protocol/muc#owner' });
+
+            formSubmit.c('x', {
+                xmlns: 'jabber:x:data',
+                type: 'submit'
+            });
+
+            const addField = (name, value) => {
+                formSubmit
+                    .c('field', { 'var': name })
+                    .c('value')
+                    .t(value)
+                    .up()
+                    .up();
+            };
+
+            addField('FORM_TYPE', 'http://jabber.org/protocol/muc#roomconfig');
+
+            // The form is submitted even without the whois field, so that the
+            // room gets unlocked.
+            if (hasField('muc#roomconfig_whois')) {
+                addField('muc#roomconfig_whois', 'anyone');
+            } else {
+                logger.error('non-anonymous rooms not supported');
+            }
+
+            const {
+                maxOccupants,
+                membersOnly,
+                persistent
+            } = this.options.roomConfig || {};
+
+            if (typeof maxOccupants === 'number'
+                    && hasField('muc#roomconfig_maxusers')) {
+                addField('muc#roomconfig_maxusers', String(maxOccupants));
+            }
+            if (typeof persistent === 'boolean'
+                    && hasField('muc#roomconfig_persistentroom')) {
+                addField('muc#roomconfig_persistentroom', persistent ? '1' : '0');
+            }
+            if (typeof membersOnly === 'boolean'
+                    && hasField('muc#roomconfig_membersonly')) {
+                addField('muc#roomconfig_membersonly', membersOnly ? '1' : '0');
+            }
+
+            this.connection.sendIQ(
+                formSubmit,
+                () => {
+                    // The configuration may have changed the room info
+                    this.discoRoomInfo();
+                },
+                error => {
+                    logger.error('Error submitting the room configuration: ', error);
+                });
+        }, error => {
+            logger.error('Error getting room configuration form: ', error);
+        });
+    }
+
+    /**
+     * Requests the room information (XEP-0045, 6.4) and emits
+     * 'xmpp.room_info_changed' if it has changed.
+     */
+    discoRoomInfo() {
+        // https://xmpp.org/extensions/xep-0045.html#disco-roominfo
+        const getInfo
+            = $iq({
+                type: 'get',
+                to: this.roomjid
+            })
+                .c('query', { xmlns: 'http://jabber.org/protocol/disco#info' });
+
+        this.connection.sendIQ(getInfo, result => {
+            const roomInfo = {};
+
+            $(result).find(
+                '>query>x[xmlns="jabber:x:data"][type="result"]>field')
+                .each((_, field) => {
+                    const name = field.getAttribute('var');
+
+                    if (name && name.indexOf('muc#roominfo_') === 0) {
+                        roomInfo[name.substring('muc#roominfo_'.length)]
+                            = $(field).find('>value')
+                                .text();
+                    }
+                });
+
+            if (!roomInfo.meetingId) {
+                logger.warn('No meeting ID from backend');
+            }
+
+            const membersOnly = $(result).find(
+                '>query>feature[var="muc_membersonly"]').length === 1;
+
+            if (this.membersOnlyEnabled !== membersOnly) {
+                this.membersOnlyEnabled = membersOnly;
+                this.eventEmitter.emit(
+                    'xmpp.muc_members_only_changed', membersOnly);
+            }
+
+            if (!isEqual(roomInfo, this.roomInfo)) {
+                this.roomInfo = roomInfo;
+                this.eventEmitter.emit('xmpp.room_info_changed', roomInfo);
+            }
+        }, error => {
+            logger.error('Error getting room info: ', error);
+        });
+    }
+
+    /**
+     * Returns the unique meeting ID assigned by the server.
+     * @returns {string|undefined}
+     */
+    getMeetingId() {
+        return this.roomInfo.meetingId;
+    }
+
+    /**
+     * Handles the error presence received in reply to the join presence and
+     * emits the event which describes why joining has failed.
+     * @param pres the presence stanza
+     * @param from the MUC JID the error came from
+     */
+    onPresenceError(pres, from) {
+        logger.warn(`Presence error from ${from}`);
+
+        if ($(pres).find(
+                '>error[type="auth"]'
+                    + '>not-authorized['
+                    + 'xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"]').length) {
+            this.eventEmitter.emit('xmpp.password_required');
+        } else if ($(pres).find(
+                '>error[type="auth"]'
+                    + '>registration-required['
+                    + 'xmlns="urn:ietf:params:xml:ns:xmpp-stanzas"]').length) {
+            // the server sends the lobby room to wait in, if there is one
+            const lobbyRoomNode = $(pres).find('>lobbyroom');
+            let lobbyRoomJid;
+
+            if (lobbyRoomNode.length) {
+                lobbyRoomJid = lobbyRoomNode.text();
+            }
+
+            this.eventEmitter.emit(
+                'xmpp.room_connect_error.members_only', lobbyRoomJid);
+        } else if ($(pres).find('>error>conflict').length) {
+            logger.warn('The nickname is already in use', pres);
+            this.eventEmitter.emit('xmpp.room_connect_error.conflict');
+        } else if ($(pres).find('>error>service-unavailable').length) {
+            logger.warn('Maximum users limit for the room has been reached', pres);
+            this.eventEmitter.emit('xmpp.room_max_users_error');
+        } else {
+            logger.warn('onPresError ', pres);
+            this.eventEmitter.emit('xmpp.room_connect_error');
+        }
     }
+
+    /**
+     * Removes all the members of the room, emitting the left event for each
+     * one of them.
+     * @private
+     */
+    _removeAllMembers() {
+        Object.keys(this.members).forEach(jid => {
+            const member = this.members[jid];
+
+            delete this.members[jid];
+            this.onParticipantLeft(jid, member.isFocus);
+        });
+    }
+
+    /**
+     * Forgets the presence of the participant who left and notifies the
+     * listeners about it.
+     * @param {string} jid the MUC JID of the participant which left
+     * @param {boolean} skipEvents whether to skip emitting the member left
+     * event (used for the focus)
+     */
+    onParticipantLeft(jid, skipEvents) {
+        delete this.lastPresences[jid];
+
+        if (skipEvents) {
+            return;
+        }
+
+        this.eventEmitter.emit('xmpp.muc_member_left', jid);
+    }
+
     /**
      * Initialize some properties when the focus participant is verified.
      * @param from jid of the focus
@@ -310,6 +780,76 @@ export default class ChatRoom extends Listenable {
         this.focusFeatures = features;
     }
 
+    /**
+     * Sets or removes the password of the room, using the room configuration
+     * form (XEP-0045, 10.2). Only an owner of the room is allowed to do that.
+     * @param {string} key - The new password, an empty string removes it.
+     * @param {Function} onSuccess - Called when the form has been accepted.
+     * @param {Function} onError - Called with the error stanza on failure.
+     * @param {Function} onNotSupported - Called when the room does not support
+     * passwords.
+     */
+    lockRoom(key, onSuccess, onError, onNotSupported) {
+        this.connection.sendIQ(
+            $iq({
+                to: this.roomjid,
+                type: 'get'
+            })
+                .c('query', { xmlns: 'http://jabber.org/protocol/muc#owner' }),
+            res => {
+                if ($(res).find(
+                        '>query>x[xmlns="jabber:x:data"]'
+                            + '>field[var="muc#roomconfig_roomsecret"]').length) {
+                    const formsubmit
+                        = $iq({
+                            to: this.roomjid,
+                            type: 'set'
+                        })
+                            .c('query', {
+                                xmlns: 'http://jabber.org/protocol/muc#owner'
+                            });
+
+                    formsubmit.c('x', {
+                        xmlns: 'jabber:x:data',
+                        type: 'submit'
+                    });
+                    formsubmit
+                        .c('field', { 'var': 'FORM_TYPE' })
+                        .c('value')
+                        .t('http://jabber.org/protocol/muc#roomconfig')
+                        .up()
+                        .up();
+                    formsubmit
+                        .c('field', { 'var': 'muc#roomconfig_roomsecret' })
+                        .c('value')
+                        .t(key)
+                        .up()
+                        .up();
+                    formsubmit
+                        .c('field',
+                            { 'var': 'muc#roomconfig_passwordprotectedroom' })
+                        .c('value')
+                        .t(key === null || key.length === 0 ? '0' : '1')
+                        .up()
+                        .up();
+
+                    // Fixes a bug in prosody 0.9.+
+                    // https://prosody.im/issues/issue/373
+                    formsubmit
+                        .c('field', { 'var': 'muc#roomconfig_whois' })
+                        .c('value')
+                        .t('anyone')
+                        .up()
+                        .up();
+
+                    this.connection.sendIQ(formsubmit, onSuccess, onError);
+                } else {
+                    onNotSupported();
+                }
+            },
+            onError);
+    }
+
     /**
      * Send text message to the other participants in the conference
      * @param message
@@ -334,9 +874,195 @@ export default class ChatRoom extends Listenable {
         this.eventEmitter.emit('xmpp.sending_chat_message', message);
     }
     /**
+     * Leaves the room. Closes the presence flow and resolves once the MUC
+     * confirms that we have left it.
+     * @returns {Promise} resolved when leaving completes or rejected if the
+     * confirmation does not arrive in time.
+     */
+    leave() {
+        this._removeConnListeners.forEach(remove => remove());
+        this._removeConnListeners = [];
+        this._clearPendingPresence();
+        this.moderator.cancelConferenceFocusAllocation();
+        this.lobby && this.lobby.leave();
+
+        return new Promise((resolve, reject) => {
+            let timeout = -1;
+
+            const onMucLeft = (doReject = false) => {
+                this.eventEmitter.removeListener('xmpp.muc_left', onMucLeft);
+                clearTimeout(timeout);
+                if (doReject) {
+                    // the timeout expired, forget the room anyway so it can be
+                    // joined again
+                    this.connection.emuc.doLeave(this.roomjid);
+                    reject(new Error('The timeout for the confirmation about leaving the room expired.'));
+                } else {
+                    resolve();
+                }
+            };
+
+            if (this.joined && this.connection.connected) {
+                timeout = setTimeout(() => onMucLeft(true), 5000);
+                this.eventEmitter.on('xmpp.muc_left', onMucLeft);
+                this.doLeave();
+            } else {
+                // we are clearing up, and we haven't joined the room (or the
+                // connection is gone), there is no point of sending presence
+                // unavailable and waiting for the reply
+                this.joined = false;
+                this.connection.emuc.doLeave(this.roomjid);
+                onMucLeft(false);
+            }
+        });
+    }
+
+    /**
+     * Sends unavailable presence to the room.
+     */
+    doLeave() {
+        const pres = $pres({ to: this.myroomjid,
+            type: 'unavailable' });
+
+        // XXX Strophe is asynchronously sending by default. We flush() once
+        // before sending in order to attempt to have the unavailable presence
+        // at the top of the send queue and once after sending in order to have
+        // it sent as soon as possible.
+        !this.connection.isUsingWebSocket && this.connection.flush();
+        this.connection.send(pres);
+        this.connection.flush();
+    }
+
+    /**
+     * Send private text message to another participant of the conference
+     * @param id id/muc resource of the receiver
+     * @param message
+     * @param elementName
+     */
+    sendPrivateMessage(id, message, elementName) {
+        const msg = $msg({
+            to: `${this.roomjid}/${id}`,
+            type: 'chat'
+        });
+
+        // We are adding the message in packet. If this element is different
+        // from 'body', we add our custom namespace for the same.
+        // e.g. for 'json-message' extension of message stanza.
+        if (elementName === 'body') {
+            msg.c(elementName, message).up();
+        } else {
+            msg.c(elementName, { xmlns: 'http://jitsi.org/jitmeet' })
+                .t(message)
+                .up();
+        }
+
+        this.connection.send(msg);
+        this.eventEmitter.emit('xmpp.sending_private_chat_message', message);
+    }
+
+    /**
+     * Handles a message stanza sent to the room or privately to us.
+     * @param msg the message stanza
+     * @param from the MUC JID of the sender
+     */
+    onMessage(msg, from) {
+        const type = msg.getAttribute('type');
+
+        if (type === 'error') {
+            const errorMsg = $(msg).find('>error>text').text();
+
+            this.eventEmitter.emit('xmpp.chat_error_received', errorMsg);
+
+            return true;
+        }
+
+        // Status code 104 indicates that the room configuration has changed
+        if ($(msg).find(
+                '>x[xmlns="http://jabber.org/protocol/muc#user"]'
+                    + '>status[code="104"]').length) {
+            this.discoRoomInfo();
+        }
+
+        const invite = $(msg).find(
+            '>x[xmlns="http://jabber.org/protocol/muc#user"]>invite');
+
+        if (invite.length) {
+            const passwordSelect = $(msg).find(
+                '>x[xmlns="http://jabber.org/protocol/muc#user"]>password');
+            let password;
+
+            if (passwordSelect && passwordSelect.length) {
+                password = passwordSelect.text();
+            }
+
+            this.eventEmitter.emit(
+                'xmpp.invite_message_received',
+                from,
+                invite.attr('from'),
+                invite.find('>reason').text(),
+                password);
+
+            return true;
+        }
+
+        const txt = $(msg).find('>body').text();
+        const subject = $(msg).find('>subject');
+
+        if (subject.length) {
+            this.eventEmitter.emit('xmpp.subject_changed', subject.text());
+        }
+
+        // xep-0203 delay
+        let stamp = $(msg).find('>delay').attr('stamp');
+
+        if (!stamp) {
+            // or xep-0091 delay, UTC timestamp
+            stamp = $(msg).find('>[xmlns="jabber:x:delay"]').attr('stamp');
+
+            if (stamp) {
+                // the format is CCYYMMDDThh:mm:ss
+                const dateParts
+                    = stamp.match(/(\d{4})(\d{2})(\d{2}T\d{2}:\d{2}:\d{2})/);
+
+                stamp = dateParts
+                    ? `${dateParts[1]}-${dateParts[2]}-${dateParts[3]}Z`
+                    : undefined;
+            }
+        }
+
+        const jsonMessage = $(msg).find('>json-message').text();
+        const parsedJson = this.xmpp.tryParseJSONAndVerify(jsonMessage);
+
+        // We emit this event if the message is a valid json, and is not
+        // delivered after a delay, i.e. stamp is undefined.
+        if (parsedJson && stamp === undefined) {
+            this.eventEmitter.emit('xmpp.json_message_received', from, parsedJson);
+
+            return true;
+        }
+
+        if (txt) {
+            if (type === 'chat') {
+                this.eventEmitter.emit(
+                    'xmpp.private_message_received',
+                    from, txt, this.myroomjid, stamp);
+            } else if (type === 'groupchat') {
+                this.eventEmitter.emit(
+                    'xmpp.message_received',
+                    from, txt, this.myroomjid, stamp);
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Registers a listener for the presence nodes with the given tag. It is
+     * called with the node, the endpoint ID and the MUC JID of the occupant
+     * every time the value of the node changes in the presence of an occupant.
      *
-     * @param name
-     * @param handler
+     * @param {string} name - The tag name of the presence node.
+     * @param {Function} handler - The listener.
      */
     addPresenceListener(name, handler) {
         if (typeof handler !== 'function') {
@@ -352,6 +1078,316 @@ export default class ChatRoom extends Listenable {
         }
     }
 
+    /**
+     * Checks if the local user has the moderator role in the room.
+     *
+     * @returns {boolean}
+     */
+    isModerator() {
+        return this.role === 'moderator';
+    }
+
+    /**
+     * Turns the members only mode of the room on or off. When turning it on,
+     * the participants already in the room are made members first, so that
+     * they are not kicked out.
+     *
+     * @param {boolean} enabled - Whether the room should be members only.
+     * @param {Function} [onSuccess] - Called when the room is reconfigured.
+     * @param {Function} [onError] - Called with the error otherwise.
+     */
+    setMembersOnly(enabled, onSuccess, onError) {
+        const errorCallback = onError ? onError : () => {}; // eslint-disable-line no-empty-function
+
+        if (enabled && Object.values(this.members).filter(m => !m.isFocus).length) {
+            // first grant membership to all that are in the room
+            const affiliationsIq = $iq({
+                to: this.roomjid,
+                type: 'set' })
+                .c('query', {
+                    xmlns: 'http://jabber.org/protocol/muc#admin' });
+            let sendIq = false;
+
+            Object.values(this.members).forEach(m => {
+                if (m.jid && !MEMBERS_AFFILIATIONS.includes(m.affiliation)) {
+                    affiliationsIq.c('item', {
+                        'affiliation': 'member',
+                        'jid': Strophe.getBareJidFromJid(m.jid)
+                    }).up();
+                    sendIq = true;
+                }
+            });
+
+            sendIq && this.connection.sendIQ(
+                affiliationsIq.up(),
+                undefined,
+                error => logger.error('Failed to grant membership', error));
+        }
+
+        this.connection.sendIQ(
+            $iq({
+                to: this.roomjid,
+                type: 'get'
+            }).c('query', { xmlns: 'http://jabber.org/protocol/muc#owner' }),
+            res => {
+                if ($(res).find(
+                        '>query>x[xmlns="jabber:x:data"]'
+                            + '>field[var="muc#roomconfig_membersonly"]').length) {
+                    const formToSubmit
+                        = $iq({
+                            to: this.roomjid,
+                            type: 'set'
+                        }).c('query', {
+                            xmlns: 'http://jabber.org/protocol/muc#owner'
+                        });
+
+                    formToSubmit.c('x', {
+                        xmlns: 'jabber:x:data',
+                        type: 'submit'
+                    });
+                    formToSubmit
+                        .c('field', { 'var': 'FORM_TYPE' })
+                        .c('value')
+                        .t('http://jabber.org/protocol/muc#roomconfig')
+                        .up()
+                        .up();
+                    formToSubmit
+                        .c('field', { 'var': 'muc#roomconfig_membersonly' })
+                        .c('value')
+                        .t(enabled ? 'true' : 'false')
+                        .up()
+                        .up();
+
+                    this.connection.sendIQ(formToSubmit, onSuccess, errorCallback);
+                } else {
+                    errorCallback(new Error('Setting members only room not supported!'));
+                }
+            },
+            errorCallback);
+    }
+
+    /**
+     * Returns the lobby of this room, if it is enabled.
+     *
+     * @returns {Lobby|undefined}
+     */
+    getLobby() {
+        return this.lobby;
+    }
+
+    /**
+     * Kicks a participant out of the room by setting its role to 'none'.
+     *
+     * @param {string} jid - The MUC JID of the participant.
+     * @param {string} [reason] - The reason, delivered to the participant.
+     */
+    kick(jid, reason = 'You have been kicked.') {
+        const kickIQ = $iq({ to: this.roomjid,
+            type: 'set' })
+            .c('query', { xmlns: 'http://jabber.org/protocol/muc#admin' })
+            .c('item', { nick: Strophe.getResourceFromJid(jid),
+                role: 'none' })
+            .c('reason').t(reason).up().up().up();
+
+        this.connection.sendIQ(
+            kickIQ,
+            result => logger.info('Kick participant with jid: ', jid, result),
+            error => logger.error('Kick participant error: ', error));
+    }
+
+    /**
+     * Changes the affiliation of a user in the room.
+     *
+     * @param {string} jid - The real JID of the user.
+     * @param {string} affiliation - The new affiliation ('owner', 'member',
+     * 'none' etc.).
+     */
+    setAffiliation(jid, affiliation) {
+        const affiliationIQ = $iq({ to: this.roomjid,
+            type: 'set' })
+            .c('query', { xmlns: 'http://jabber.org/protocol/muc#admin' })
+            .c('item', { affiliation,
+                jid: Strophe.getBareJidFromJid(jid) })
+            .up().up();
+
+        this.connection.sendIQ(
+            affiliationIQ,
+            result => logger.info('Set affiliation of participant with jid: ', jid, 'to', affiliation, result),
+            error => logger.error('Set affiliation of participant error: ', error));
+    }
+
+    /**
+     * Asks the focus to mute or unmute a participant.
+     *
+     * @param {string} jid - The MUC JID of the participant.
+     * @param {boolean} mute - Whether to mute (true) or unmute (false).
+     * @param {string} mediaType - 'audio' or 'video'.
+     */
+    muteParticipant(jid, mute, mediaType) {
+        const iqToFocus = $iq({ to: this.focusMucJid,
+            type: 'set' });
+
+        if (mediaType === 'video') {
+            iqToFocus
+                .c('mute-video', { xmlns: 'http://jitsi.org/jitmeet/video',
+                    jid })
+                .t(mute.toString())
+                .up();
+        } else {
+            iqToFocus
+                .c('mute', { xmlns: 'http://jitsi.org/jitmeet/audio',
+                    jid })
+                .t(mute.toString())
+                .up();
+        }
+
+        this.connection.sendIQ(
+            iqToFocus,
+            result => logger.info(`set ${mediaType} mute`, result),
+            error => logger.error(`set ${mediaType} mute error`, error));
+    }
+
+    /**
+     * Handles an audio mute request sent to us by the focus.
+     * @param iq
+     */
+    onMute(iq) {
+        this._onMuteRequest(iq, 'mute', 'audio');
+    }
+
+    /**
+     * Handles a video mute request sent to us by the focus.
+     * @param iq
+     */
+    onMuteVideo(iq) {
+        this._onMuteRequest(iq, 'mute-video', 'video');
+    }
+
+    /**
+     * Emits 'xmpp.muted_by_focus' for a mute request sent by the focus.
+     *
+     * @param iq - The mute request.
+     * @param {string} elementName - The name of the element carrying the
+     * request.
+     * @param {string} mediaType - The media type to be muted.
+     * @private
+     * @returns {void}
+     */
+    _onMuteRequest(iq, elementName, mediaType) {
+        const from = iq.getAttribute('from');
+
+        if (from !== this.focusMucJid) {
+            logger.warn(`Ignored ${mediaType} mute from non focus peer`);
+
+            return;
+        }
+        const mute = $(iq).find(elementName);
+
+        if (mute.length && mute.text() === 'true') {
+            this.eventEmitter.emit(
+                'xmpp.muted_by_focus', mediaType, mute.attr('actor'));
+        } else {
+            // Unmuting would let a moderator turn on someone's microphone
+            // or camera, it is left to the participant.
+            logger.warn('Ignoring a mute request which does not explicitly '
+                + 'specify a positive mute command.');
+        }
+    }
+
+    /**
+     * Removes a listener added with {@link addPresenceListener}.
+     *
+     * @param {string} name - The tag name of the presence node.
+     * @param {Function} handler - The listener to remove.
+     */
+    removePresenceListener(name, handler) {
+        const tagHandlers = this.presHandlers[name];
+        const handlerIdx = tagHandlers ? tagHandlers.indexOf(handler) : -1;
+
+        if (handlerIdx !== -1) {
+            tagHandlers.splice(handlerIdx, 1);
+        } else {
+            logger.warn(`Handler for: ${name} was not registered`);
+        }
+    }
+
+    /**
+     * Adds the key to the presence map, overriding any previous value.
+     * @param key The key to add or replace.
+     * @param values The new values.
+     * @returns {boolean|null} <tt>true</tt> if the operation succeeded or <tt>false</tt> when no add or replce was
+     * performed as the value was already there.
+     */
+    addOrReplaceInPresence(key, values) {
+        values.tagName = key;
+
+        const matchingNodes = this.presMap.nodes.filter(node => key === node.tagName);
+
+        // if we have found just one, let's check is it the same
+        if (matchingNodes.length === 1 && isEqual(matchingNodes[0], values)) {
+            return false;
+        }
+
+        this.removeFromPresence(key);
+        this.presMap.nodes.push(values);
+        this.presenceUpdateTime = Date.now();
+
+        return true;
+    }
+
+    /**
+     * Retrieves a value from the presence map.
+     *
+     * @param {string} key - The key to find the value for.
+     * @returns {Object?}
+     */
+    getFromPresence(key) {
+        return this.presMap.nodes.find(node => key === node.tagName);
+    }
+
+    /**
+     * Removes a key from the presence map.
+     * @param key
+     */
+    removeFromPresence(key) {
+        const nodes = this.presMap.nodes.filter(node => key !== node.tagName);
+
+        if (nodes.length !== this.presMap.nodes.length) {
+            this.presMap.nodes = nodes;
+            this.presenceUpdateTime = Date.now();
+        }
+    }
+
+    /**
+     * Adds the audio mute status of the local participant to the presence
+     * map. The presence is not sent.
+     *
+     * @param {boolean} mute
+     * @returns {boolean} <tt>true</tt> if the presence map has changed.
+     */
+    addAudioInfoToPresence(mute) {
+        return this.addOrReplaceInPresence(
+            'audiomuted',
+            {
+                value: mute.toString()
+            });
+    }
+
+    /**
+     * Adds the video mute status of the local participant to the presence
+     * map. The presence is not sent.
+     *
+     * @param {boolean} mute
+     * @returns {boolean} <tt>true</tt> if the presence map has changed.
+     */
+    addVideoInfoToPresence(mute) {
+        return this.addOrReplaceInPresence(
+            'videomuted',
+            {
+                value: mute.toString()
+            });
+    }
+
     /**
      * Checks if the user identified by given <tt>mucJid</tt> is the conference
      * focus.
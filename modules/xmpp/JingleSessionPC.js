@@ -1,6 +1,9 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
 import { $iq, Strophe } from 'strophe.js';
 
 import SDP from '../sdp/SDP';
+import SDPDiffer from '../sdp/SDPDiffer';
 import SDPUtil from '../sdp/SDPUtil';
 import AsyncQueue from '../util/AsyncQueue';
 
@@ -9,6 +12,7 @@ import * as JingleSessionState from './JingleSessionState';
 import SignalingLayerImpl from './SignalingLayerImpl';
 import XmppConnection from './XmppConnection';
 
+const logger = getLogger(__filename);
 
 /**
  * Constant tells how long we're going to wait for IQ response, before timeout
@@ -134,6 +138,14 @@ export default class JingleSessionPC extends JingleSession {
          */
         this.remoteRecvMaxFrameHeight = undefined;
 
+        /**
+         * Local preference for the receive video max frame height, sent to the
+         * remote peer of a P2P session with 'content-modify'.
+         *
+         * @type {Number|undefined}
+         */
+        this.localRecvMaxFrameHeight = undefined;
+
         /**
          * The signaling layer implementation.
          * @type {SignalingLayerImpl}
@@ -162,16 +174,52 @@ export default class JingleSessionPC extends JingleSession {
          */
         this.establishmentDuration = undefined;
 
+        /**
+         * The local SDP from before the first SSRC update which could not be
+         * sent, because the XMPP connection was down. Together with
+         * {@link _cachedNewLocalSdp} it's used to send the SSRC update once
+         * the connection is back.
+         * @type {SDP|undefined}
+         * @private
+         */
+        this._cachedOldLocalSdp = undefined;
+
+        /**
+         * The local SDP from after the last SSRC update which could not be
+         * sent, because the XMPP connection was down.
+         * @type {SDP|undefined}
+         * @private
+         */
+        this._cachedNewLocalSdp = undefined;
+
         this._xmppListeners = [];
         this._xmppListeners.push(
             connection.addEventListener(
                 XmppConnection.Events.CONN_STATUS_CHANGED,
-                () => { })
+                this.onXmppStatusChanged.bind(this))
         );
     }
 
     /* eslint-enable max-params */
 
+    /**
+     * Sends the SSRC update which was deferred while the XMPP connection was
+     * down.
+     * @param {Strophe.Status} status - The new XMPP connection status.
+     * @private
+     */
+    onXmppStatusChanged(status) {
+        if (status === Strophe.Status.CONNECTED && this._cachedOldLocalSdp) {
+            const oldLocalSdp = this._cachedOldLocalSdp;
+            const newLocalSdp = this._cachedNewLocalSdp;
+
+            this._cachedOldLocalSdp = undefined;
+            this._cachedNewLocalSdp = undefined;
+
+            this.notifyMySSRCUpdate(oldLocalSdp, newLocalSdp);
+        }
+    }
+
     /**
      * Checks whether or not this session instance is still operational.
      * @private
@@ -253,6 +301,7 @@ export default class JingleSessionPC extends JingleSession {
                     this._iceCheckingStartedTimestamp = now;
                     break;
                 case 'connected':
+                case 'completed':
                     // Informs interested parties that the connection has been restored. This includes the case when
                     // media connection to the bridge has been restored after an ICE failure by using session-terminate.
                     if (this.peerconnection.signalingState === 'stable') {
@@ -285,12 +334,71 @@ export default class JingleSessionPC extends JingleSession {
                     }
                     this.isReconnect = false;
                     break;
+                case 'disconnected':
+                    if (this.closed) {
+                        break;
+                    }
+
+                    // Informs interested parties that the connection has been
+                    // interrupted.
+                    if (this.wasConnected) {
+                        this.isReconnect = true;
+                        this.room.eventEmitter.emit('xmpp.connection.interrupted', this);
+                    }
+                    break;
+                case 'failed':
+                    // The conference decides whether to restart ICE or to ask
+                    // Jicofo for a new session.
+                    this.room.eventEmitter.emit('xmpp.connection.iceFailed', this);
+                    break;
             }
         };
         // The signaling layer will bind it's listeners at this point
         this.signalingLayer.setChatRoom(this.room);
     }
 
+    /**
+     * Returns the ICE connection state of the peerconnection.
+     * @returns {string|undefined}
+     */
+    getIceConnectionState() {
+        return this.peerconnection && this.peerconnection.iceConnectionState;
+    }
+
+    /**
+     * Sends Jingle 'session-info' message which tells Jicofo that the ICE
+     * connection has failed. Jicofo is expected to respond with
+     * 'transport-replace' which will trigger an ICE restart.
+     */
+    sendIceFailedNotification() {
+        let sessionInfo
+            = $iq({
+                to: this.remoteJid,
+                type: 'set' })
+                .c('jingle', { xmlns: 'urn:xmpp:jingle:1',
+                    action: 'session-info',
+                    initiator: this.initiatorJid,
+                    sid: this.sid })
+                .c('ice-state', { xmlns: 'http://jitsi.org/protocol/focus' })
+                .t('failed')
+                .up();
+
+        this._bridgeSessionId
+            && sessionInfo.c(
+                'bridge-session', {
+                    xmlns: 'http://jitsi.org/protocol/focus',
+                    id: this._bridgeSessionId
+                });
+
+        // Calling tree() to print something useful
+        sessionInfo = sessionInfo.tree();
+        this.connection.sendIQ2(sessionInfo, { timeout: IQ_TIMEOUT })
+            .catch(() => {
+                // Jicofo will not restart ICE, the conference will give up
+                // after the configured number of attempts
+            });
+    }
+
     /**
      * Sends given candidate in Jingle 'transport-info' message.
      * @param {RTCIceCandidate} candidate the WebRTC ICE candidate instance
@@ -495,19 +603,103 @@ export default class JingleSessionPC extends JingleSession {
      * @param failure function(error) called if for any reason we fail to accept
      * the incoming offer. 'error' argument can be used to log some details
      * about the error.
+     * @param {Array<JitsiLocalTrack>} [localTracks] the local tracks that will
+     * be added, before the offer/answer cycle executes.
      */
-    acceptOffer(jingleOffer, success, failure) {
+    acceptOffer(jingleOffer, success, failure, localTracks) {
         this.setOfferAnswerCycle(
             jingleOffer,
             () => {
                 // FIXME we may not care about RESULT packet for session-accept
                 // then we should either call 'success' here immediately or
                 // modify sendSessionAccept method to do that
-                this.sendSessionAccept(success, failure);
+                this.sendSessionAccept(() => {
+                    this._syncReceiverVideoConstraint();
+                    success();
+                }, failure);
             },
-            failure);
+            failure,
+            localTracks);
     }
   
+    /**
+     * Creates an offer and sends Jingle 'session-initiate' to the remote peer.
+     * @param {Array<JitsiLocalTrack>} localTracks the local tracks that will be
+     * added, before the offer/answer cycle executes (for the local track
+     * addition to be an atomic operation together with the offer/answer
+     * cycle).
+     * @returns {Promise} resolved when 'session-initiate' has been sent or
+     * rejected if the offer could not be created.
+     */
+    invite(localTracks = []) {
+        if (!this.isInitiator) {
+            throw new Error('Trying to invite from the responder session');
+        }
+        const workFunction = finishedCallback => {
+            const addTracks = [];
+
+            for (const localTrack of localTracks) {
+                addTracks.push(this.peerconnection.addTrack(localTrack, this.isInitiator));
+            }
+
+            Promise.all(addTracks)
+                .then(() => this.peerconnection.createOffer(this.mediaConstraints))
+                .then(offerSdp => this.peerconnection.setLocalDescription(offerSdp))
+                .then(() => {
+                    // NOTE that the offer is obtained from the localDescription
+                    // getter as it needs to go though the transformation chain.
+                    this.sendSessionInitiate(this.peerconnection.localDescription.sdp);
+                })
+                .then(() => finishedCallback(), error => finishedCallback(error));
+        };
+
+        return new Promise((resolve, reject) => {
+            this.modificationQueue.push(
+                workFunction,
+                error => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+        });
+    }
+
+    /**
+     * Sends 'session-initiate' to the remote peer.
+     *
+     * NOTE this method is synchronous and we're not waiting for the RESULT
+     * response which would delay the startup process.
+     *
+     * @param {string} offerSdp  - The local session description which will be
+     * used to generate an offer.
+     * @private
+     */
+    sendSessionInitiate(offerSdp) {
+        let init = $iq({
+            to: this.remoteJid,
+            type: 'set'
+        }).c('jingle', {
+            xmlns: 'urn:xmpp:jingle:1',
+            action: 'session-initiate',
+            initiator: this.initiatorJid,
+            sid: this.sid
+        });
+
+        new SDP(offerSdp).toJingle(
+            init,
+            this.isInitiator ? 'initiator' : 'responder');
+        init = init.tree();
+        this.connection.sendIQ(
+            init,
+            () => { /* result received, nothing else to do */ },
+            this.newJingleErrorHandler(init, error => {
+                this.room.eventEmitter.emit('xmpp.session_initiate_error', this, error);
+            }),
+            IQ_TIMEOUT);
+    }
+
     /**
      * Sets the answer received from the remote peer.
      * @param jingleAnswer
@@ -516,7 +708,113 @@ export default class JingleSessionPC extends JingleSession {
         if (!this.isInitiator) {
             throw new Error('Trying to set an answer on the responder session');
         }
-        this.setOfferAnswerCycle(jingleAnswer,() => {},error => {});
+        const workFunction = finishedCallback => {
+            const newRemoteSdp = this._processNewJingleOfferIq(jingleAnswer);
+            const remoteDescription = new RTCSessionDescription({
+                type: 'answer',
+                sdp: newRemoteSdp.raw
+            });
+
+            // The offer has been set as the local description already when
+            // 'session-initiate' was sent.
+            this.peerconnection.setRemoteDescription(remoteDescription)
+                .then(() => {
+                    if (this.state === JingleSessionState.PENDING) {
+                        this.state = JingleSessionState.ACTIVE;
+                        this._syncReceiverVideoConstraint();
+                    }
+                })
+                .then(() => finishedCallback(), error => finishedCallback(error));
+        };
+
+        this.modificationQueue.push(workFunction, () => {});
+    }
+
+    /**
+     * Sets the max frame height we want to receive from the remote peer of a
+     * P2P session. The remote peer is told with 'content-modify', right away
+     * if the session is active or once it becomes active.
+     *
+     * @param {number} maxFrameHeight - The max frame height.
+     */
+    setReceiverVideoConstraint(maxFrameHeight) {
+        if (!this.isP2P) {
+            throw new Error('The receiver constraints of the JVB session are sent over the bridge channel');
+        }
+
+        logger.info(`P2P session ${this.sid} setReceiverVideoConstraint - max frame height: ${maxFrameHeight}`);
+        this.localRecvMaxFrameHeight = maxFrameHeight;
+        if (this.state === JingleSessionState.ACTIVE) {
+            this.sendContentModify();
+        }
+    }
+
+    /**
+     * Sends the local receive video constraint to the remote peer of a P2P
+     * session, once the session has become active.
+     * @private
+     */
+    _syncReceiverVideoConstraint() {
+        if (this.isP2P && typeof this.localRecvMaxFrameHeight !== 'undefined') {
+            this.sendContentModify();
+        }
+    }
+
+    /**
+     * Sends Jingle 'content-modify' with the max frame height we want to
+     * receive on the video content.
+     */
+    sendContentModify() {
+        const maxFrameHeight = this.localRecvMaxFrameHeight;
+        const sessionModify
+            = $iq({
+                to: this.remoteJid,
+                type: 'set'
+            })
+                .c('jingle', {
+                    xmlns: 'urn:xmpp:jingle:1',
+                    action: 'content-modify',
+                    initiator: this.initiatorJid,
+                    sid: this.sid
+                })
+                .c('content', {
+                    name: 'video',
+                    senders: 'both'
+                });
+
+        if (typeof maxFrameHeight !== 'undefined') {
+            sessionModify
+                .c('max-frame-height', { xmlns: 'http://jitsi.org/jitmeet/video' })
+                .t(maxFrameHeight);
+        }
+
+        logger.info(`P2P session ${this.sid} sending content-modify, max frame height: ${maxFrameHeight}`);
+
+        this.connection.sendIQ(
+            sessionModify,
+            null,
+            this.newJingleErrorHandler(sessionModify),
+            IQ_TIMEOUT);
+    }
+
+    /**
+     * Handles 'content-modify' from the remote peer: stores the max frame
+     * height it wants to receive and emits
+     * 'xmpp.remote_video_constraints_changed' when it has changed.
+     *
+     * @param {jQuery} jingleContents - A jQuery selector pointing to the
+     * 'jingle' element.
+     */
+    modifyContents(jingleContents) {
+        const maxFrameHeightSel
+            = jingleContents.find('>content[name="video"]>max-frame-height');
+        const newMaxFrameHeight
+            = maxFrameHeightSel.length ? Number(maxFrameHeightSel.text()) : undefined;
+
+        if (newMaxFrameHeight !== this.remoteRecvMaxFrameHeight) {
+            this.remoteRecvMaxFrameHeight = newMaxFrameHeight;
+            this.room.eventEmitter.emit('xmpp.remote_video_constraints_changed', this);
+        }
     }
 
     /* eslint-disable max-params */
@@ -529,11 +827,19 @@ export default class JingleSessionPC extends JingleSession {
      * @param success callback called when sRD/sLD cycle finishes successfully.
      * @param failure callback called with an error object as an argument if we
      *        fail at any point during setRD, createAnswer, setLD.
+     * @param {Array<JitsiLocalTrack>} [localTracks] the local tracks that will
+     *        be added, before the offer/answer cycle executes (for the local
+     *        track addition to be an atomic operation together with the offer
+     *        answer cycle).
      */
-    setOfferAnswerCycle(jingleOfferAnswerIq, success, failure) {
+    setOfferAnswerCycle(jingleOfferAnswerIq, success, failure, localTracks = []) {
         const workFunction = finishedCallback => {
             const addTracks = [];
 
+            for (const track of localTracks) {
+                addTracks.push(this.peerconnection.addTrack(track, this.isInitiator));
+            }
+
             const newRemoteSdp
                 = this._processNewJingleOfferIq(jingleOfferAnswerIq);
 
@@ -568,6 +874,120 @@ export default class JingleSessionPC extends JingleSession {
             });
     }
 
+    /**
+     * Although it states "replace transport" it does accept full Jingle offer
+     * which should contain new ICE transport details and is used to migrate
+     * the session to another bridge (ICE and DTLS restart).
+     * @param jingleOfferElem an element Jingle IQ that contains new offer and
+     *        transport info.
+     * @param success callback called when we succeed to accept new offer.
+     * @param failure function(error) called when we fail to accept new offer.
+     */
+    replaceTransport(jingleOfferElem, success, failure) {
+        this.room.eventEmitter.emit('xmpp.ice_restarting', this);
+
+        // We need to first reject the 'data' section to have the SCTP stack
+        // cleaned up to signal the known data channel is now invalid. After
+        // that the original offer is set to have the SCTP connection
+        // established with the new bridge.
+        const originalOffer = jingleOfferElem.clone();
+
+        jingleOfferElem
+            .find('>content[name=\'data\']')
+            .remove();
+
+        // First set an offer with a rejected 'data' section
+        this.setOfferAnswerCycle(
+            jingleOfferElem,
+            () => {
+                // Now set the original offer(with the 'data' section)
+                this.setOfferAnswerCycle(
+                    originalOffer,
+                    () => {
+                        const localSDP
+                            = new SDP(this.peerconnection.localDescription.sdp);
+
+                        this.sendTransportAccept(localSDP, success, failure);
+                    },
+                    failure);
+            },
+            failure
+        );
+    }
+
+    /**
+     * Sends Jingle 'transport-accept' message which is a response to
+     * 'transport-replace'.
+     * @param localSDP the 'SDP' object with local session description
+     * @param success callback called when we receive 'RESULT' packet for
+     *        'transport-replace'
+     * @param failure function(error) called when we receive an error response
+     *        or when the request has timed out.
+     * @private
+     */
+    sendTransportAccept(localSDP, success, failure) {
+        let transportAccept = $iq({
+            to: this.remoteJid,
+            type: 'set'
+        })
+            .c('jingle', {
+                xmlns: 'urn:xmpp:jingle:1',
+                action: 'transport-accept',
+                initiator: this.initiatorJid,
+                sid: this.sid
+            });
+
+        localSDP.media.forEach((medialines, idx) => {
+            const mline = SDPUtil.parseMLine(medialines.split('\r\n')[0]);
+
+            transportAccept.c('content',
+                {
+                    creator:
+                        this.initiatorJid === this.localJid
+                            ? 'initiator'
+                            : 'responder',
+                    name: mline.media
+                }
+            );
+            localSDP.transportToJingle(idx, transportAccept);
+            transportAccept.up();
+        });
+
+        // Calling tree() to print something useful to the logger
+        transportAccept = transportAccept.tree();
+        this.connection.sendIQ(transportAccept,
+            success,
+            this.newJingleErrorHandler(transportAccept, failure),
+            IQ_TIMEOUT);
+    }
+
+    /**
+     * Sends Jingle 'transport-reject' message which is a response to
+     * 'transport-replace', so that the focus knows that we've failed.
+     * @param success callback called when we receive 'RESULT' packet for
+     *        'transport-reject'
+     * @param failure function(error) called when we receive an error response
+     *        or when the request has timed out.
+     */
+    sendTransportReject(success, failure) {
+        let transportReject = $iq({
+            to: this.remoteJid,
+            type: 'set'
+        })
+            .c('jingle', {
+                xmlns: 'urn:xmpp:jingle:1',
+                action: 'transport-reject',
+                initiator: this.initiatorJid,
+                sid: this.sid
+            });
+
+        transportReject = transportReject.tree();
+        this.connection.sendIQ(transportReject,
+            success,
+            this.newJingleErrorHandler(transportReject, failure),
+            IQ_TIMEOUT);
+    }
+
     /**
      * Sends Jingle 'session-accept' message.
      * @param {function()} success callback called when we receive 'RESULT'
@@ -745,6 +1165,7 @@ export default class JingleSessionPC extends JingleSession {
      */
     replaceTrack(oldTrack, newTrack) {
         const workFunction = finishedCallback => {
+            const oldLocalSdp = this.peerconnection.localDescription.sdp;
 
             this.peerconnection.replaceTrack(oldTrack, newTrack)
                 .then(shouldRenegotiate => {
@@ -754,6 +1175,8 @@ export default class JingleSessionPC extends JingleSession {
                         && this.state === JingleSessionState.ACTIVE) {
                         promise = this._renegotiate().then(() => {
                             const newLocalSDP = new SDP(this.peerconnection.localDescription.sdp);
+
+                            this.notifyMySSRCUpdate(new SDP(oldLocalSdp), newLocalSDP);
                         });
                     }
 
@@ -783,6 +1206,597 @@ export default class JingleSessionPC extends JingleSession {
         });
     }
 
+    /**
+     * Handles a Jingle source-add message for this Jingle session.
+     * @param elem An array of Jingle "content" elements.
+     */
+    addRemoteStream(elem) {
+        this._addOrRemoveRemoteStream(true /* add */, elem);
+    }
+
+    /**
+     * Handles a Jingle source-remove message for this Jingle session.
+     * @param elem An array of Jingle "content" elements.
+     */
+    removeRemoteStream(elem) {
+        this._addOrRemoveRemoteStream(false /* remove */, elem);
+    }
+
+    /**
+     * Handles either Jingle 'source-add' or 'source-remove' message for this
+     * Jingle session.
+     * @param {boolean} isAdd <tt>true</tt> for 'source-add' or <tt>false</tt>
+     * otherwise.
+     * @param {Array<Element>} elem an array of Jingle "content" elements.
+     * @private
+     */
+    _addOrRemoveRemoteStream(isAdd, elem) {
+        if (isAdd) {
+            this.readSsrcInfo(elem);
+        }
+
+        const workFunction = finishedCallback => {
+            if (!this.peerconnection.remoteDescription
+                || !this.peerconnection.remoteDescription.sdp) {
+                const action = isAdd ? 'source-add' : 'source-remove';
+
+                finishedCallback(
+                    `${action} received before remoteDescription is set, ignoring!`);
+
+                return;
+            }
+            const oldLocalSdp
+                = new SDP(this.peerconnection.localDescription.sdp);
+            const sdp = new SDP(this.peerconnection.remoteDescription.sdp);
+            const addOrRemoveSsrcInfo
+                = isAdd
+                    ? this._parseSsrcInfoFromSourceAdd(elem, sdp)
+                    : this._parseSsrcInfoFromSourceRemove(elem, sdp);
+            const newRemoteSdp
+                = isAdd
+                    ? this._processRemoteAddSource(addOrRemoveSsrcInfo)
+                    : this._processRemoteRemoveSource(addOrRemoveSsrcInfo);
+
+            this._renegotiate(newRemoteSdp.raw)
+                .then(() => {
+                    const newLocalSdp
+                        = new SDP(this.peerconnection.localDescription.sdp);
+
+                    if (!isAdd) {
+                        const removedSsrcs = this._getSsrcsFromContents(elem);
+
+                        this.peerconnection.removeRemoteTracksBySsrc(removedSsrcs);
+                        this.signalingLayer.removeSSRCOwners(removedSsrcs);
+                    }
+
+                    this.notifyMySSRCUpdate(oldLocalSdp, newLocalSdp);
+                    finishedCallback();
+                }, error => finishedCallback(error));
+        };
+
+        this.modificationQueue.push(workFunction);
+    }
+
+    /**
+     * Returns the SSRCs of the sources described by the given Jingle
+     * "content" elements.
+     * @param {Array<Element>} contents an array of Jingle "content" elements.
+     * @returns {Array<number>}
+     * @private
+     */
+    _getSsrcsFromContents(contents) {
+        const ssrcs = [];
+
+        // handles both >source and >description>source versions
+        $(contents)
+            .find('source[xmlns="urn:xmpp:jingle:apps:rtp:ssma:0"]')
+            .each((i, source) => {
+                const ssrc = Number(source.getAttribute('ssrc'));
+
+                if (!isNaN(ssrc) && ssrcs.indexOf(ssrc) === -1) {
+                    ssrcs.push(ssrc);
+                }
+            });
+
+        return ssrcs;
+    }
+
+    /**
+     * Parse the information from the xml sourceAddElem and translate it
+     * into sdp lines
+     * @param {jquery xml element} sourceAddElem the source-add
+     *  element from jingle
+     * @param {SDP object} currentRemoteSdp the current remote
+     *  sdp (as of this new source-add)
+     * @returns {list} a list of SDP line strings that should
+     *  be added to the remote SDP
+     * @private
+     */
+    _parseSsrcInfoFromSourceAdd(sourceAddElem, currentRemoteSdp) {
+        const addSsrcInfo = [];
+
+        $(sourceAddElem).each((i1, content) => {
+            const name = $(content).attr('name');
+            let lines = '';
+
+            $(content)
+                .find('ssrc-group[xmlns="urn:xmpp:jingle:apps:rtp:ssma:0"]')
+                .each(function() {
+                    // eslint-disable-next-line no-invalid-this
+                    const semantics = this.getAttribute('semantics');
+                    const ssrcs
+                        = $(this) // eslint-disable-line no-invalid-this
+                            .find('>source')
+                            .map(function() {
+                                // eslint-disable-next-line no-invalid-this
+                                return this.getAttribute('ssrc');
+                            })
+                            .get();
+
+                    if (ssrcs.length) {
+                        lines
+                            += `a=ssrc-group:${semantics} ${ssrcs.join(' ')}\r\n`;
+                    }
+                });
+
+            // handles both >source and >description>source
+            const tmp
+                = $(content).find(
+                    'source[xmlns="urn:xmpp:jingle:apps:rtp:ssma:0"]');
+
+            /* eslint-disable no-invalid-this */
+            tmp.each(function() {
+                const ssrc = $(this).attr('ssrc');
+
+                if (currentRemoteSdp.containsSSRC(ssrc)) {
+                    // Source-add request for an existing SSRC
+                    return;
+                }
+
+                // eslint-disable-next-line newline-per-chained-call
+                $(this).find('>parameter').each(function() {
+                    lines += `a=ssrc:${ssrc} ${$(this).attr('name')}`;
+                    if ($(this).attr('value') && $(this).attr('value').length) {
+                        lines += `:${$(this).attr('value')}`;
+                    }
+                    lines += '\r\n';
+                });
+            });
+
+            /* eslint-enable no-invalid-this */
+            currentRemoteSdp.media.forEach((media, i2) => {
+                if (!SDPUtil.findLine(media, `a=mid:${name}`)) {
+                    return;
+                }
+                if (!addSsrcInfo[i2]) {
+                    addSsrcInfo[i2] = '';
+                }
+                addSsrcInfo[i2] += lines;
+            });
+        });
+
+        return addSsrcInfo;
+    }
+
+    /**
+     * Parse the information from the xml sourceRemoveElem and translate it
+     * into sdp lines
+     * @param {jquery xml element} sourceRemoveElem the source-remove
+     *  element from jingle
+     * @param {SDP object} currentRemoteSdp the current remote
+     *  sdp (as of this new source-remove)
+     * @returns {list} a list of SDP line strings that should
+     *  be removed from the remote SDP
+     * @private
+     */
+    _parseSsrcInfoFromSourceRemove(sourceRemoveElem, currentRemoteSdp) {
+        const removeSsrcInfo = [];
+
+        $(sourceRemoveElem).each((i1, content) => {
+            const name = $(content).attr('name');
+            let lines = '';
+
+            $(content)
+                .find('ssrc-group[xmlns="urn:xmpp:jingle:apps:rtp:ssma:0"]')
+                .each(function() {
+                    /* eslint-disable no-invalid-this */
+                    const semantics = this.getAttribute('semantics');
+                    const ssrcs
+                        = $(this)
+                            .find('>source')
+                            .map(function() {
+                                return this.getAttribute('ssrc');
+                            })
+                            .get();
+
+                    if (ssrcs.length) {
+                        lines
+                            += `a=ssrc-group:${semantics} ${ssrcs.join(' ')}\r\n`;
+                    }
+
+                    /* eslint-enable no-invalid-this */
+                });
+            const ssrcs = [];
+
+            // handles both >source and >description>source versions
+            const tmp
+                = $(content).find(
+                    'source[xmlns="urn:xmpp:jingle:apps:rtp:ssma:0"]');
+
+            tmp.each(function() {
+                // eslint-disable-next-line no-invalid-this
+                const ssrc = $(this).attr('ssrc');
+
+                ssrcs.push(ssrc);
+            });
+            currentRemoteSdp.media.forEach((media, i2) => {
+                if (!SDPUtil.findLine(media, `a=mid:${name}`)) {
+                    return;
+                }
+                if (!removeSsrcInfo[i2]) {
+                    removeSsrcInfo[i2] = '';
+                }
+                ssrcs.forEach(ssrc => {
+                    const ssrcLines
+                        = SDPUtil.findLines(media, `a=ssrc:${ssrc}`);
+
+                    if (ssrcLines.length) {
+                        removeSsrcInfo[i2] += `${ssrcLines.join('\r\n')}\r\n`;
+                    }
+                });
+                removeSsrcInfo[i2] += lines;
+            });
+        });
+
+        return removeSsrcInfo;
+    }
+
+    /**
+     * Adds the given ssrc lines to the current remote sdp
+     * @param {list} addSsrcInfo a list of SDP line strings that
+     *  should be added to the remote SDP
+     * @returns type {SDP Object} the new remote SDP (after
+     *  adding the new SSRCs)
+     * @private
+     */
+    _processRemoteAddSource(addSsrcInfo) {
+        const remoteSdp = new SDP(this.peerconnection.remoteDescription.sdp);
+
+        addSsrcInfo.forEach((lines, idx) => {
+            remoteSdp.media[idx] += lines;
+        });
+        remoteSdp.raw = remoteSdp.session + remoteSdp.media.join('');
+
+        return remoteSdp;
+    }
+
+    /**
+     * Remove the given ssrc lines from the current remote sdp
+     * @param {list} removeSsrcInfo a list of SDP line strings that
+     *  should be removed from the remote SDP
+     * @returns type {SDP Object} the new remote SDP (after removing
+     *  the lines in removeSsrcInfo
+     * @private
+     */
+    _processRemoteRemoveSource(removeSsrcInfo) {
+        const remoteSdp = new SDP(this.peerconnection.remoteDescription.sdp);
+
+        removeSsrcInfo.forEach((lines, idx) => {
+            // eslint-disable-next-line no-param-reassign
+            lines = lines.split('\r\n');
+            lines.pop(); // remove empty last element;
+            lines.forEach(line => {
+                remoteSdp.media[idx]
+                    = remoteSdp.media[idx].replace(`${line}\r\n`, '');
+            });
+        });
+        remoteSdp.raw = remoteSdp.session + remoteSdp.media.join('');
+
+        return remoteSdp;
+    }
+
+    /**
+     * Adds back the local track which was removed from the peerconnection in
+     * order to mute it.
+     * @param {JitsiLocalTrack} track the track to be unmuted
+     * @returns {Promise} resolved when the track has been added back and the
+     * SSRC update has been sent to the remote side.
+     */
+    addTrackAsUnmute(track) {
+        return this._addRemoveTrackAsMuteUnmute(
+            false /* add as unmute */, track);
+    }
+
+    /**
+     * Removes the local track from the peerconnection in order to mute it, so
+     * that its source is removed from the remote side as well.
+     * @param {JitsiLocalTrack} track the track to be muted
+     * @returns {Promise} resolved when the track has been removed and the SSRC
+     * update has been sent to the remote side.
+     */
+    removeTrackAsMute(track) {
+        return this._addRemoveTrackAsMuteUnmute(
+            true /* remove as mute */, track);
+    }
+
+    /**
+     * See {@link addTrackAsUnmute} and {@link removeTrackAsMute}.
+     * @param {boolean} isMute <tt>true</tt> for "remove as mute" or
+     * <tt>false</tt> for "add as unmute".
+     * @param {JitsiLocalTrack} track the track that will be added/removed
+     * @private
+     */
+    _addRemoveTrackAsMuteUnmute(isMute, track) {
+        if (!track) {
+            return Promise.reject('invalid "track" argument value');
+        }
+        const operationName = isMute ? 'removeTrackMute' : 'addTrackUnmute';
+        const workFunction = finishedCallback => {
+            const tpc = this.peerconnection;
+
+            if (!tpc) {
+                finishedCallback(
+                    `Error:  tried ${operationName} track with no active peer`
+                        + 'connection');
+
+                return;
+            }
+            const oldLocalSDP = tpc.localDescription.sdp;
+            const operationPromise
+                = isMute
+                    ? tpc.removeTrackMute(track)
+                    : tpc.addTrackUnmute(track);
+
+            operationPromise
+                .then(shouldRenegotiate => {
+                    if (shouldRenegotiate
+                        && oldLocalSDP
+                        && tpc.remoteDescription.sdp
+                        && this.state === JingleSessionState.ACTIVE) {
+                        return this._renegotiate()
+                            .then(() => {
+                                const newLocalSDP = tpc.localDescription.sdp;
+
+                                this.notifyMySSRCUpdate(
+                                    new SDP(oldLocalSDP),
+                                    new SDP(newLocalSDP));
+                            });
+                    }
+                })
+                .then(() => {
+                    if (!isMute && track.isVideoTrack()) {
+                        return tpc.setSenderVideoConstraint();
+                    }
+                })
+                .then(() => finishedCallback(), error => finishedCallback(error));
+        };
+
+        return new Promise((resolve, reject) => {
+            this.modificationQueue.push(
+                workFunction,
+                error => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+        });
+    }
+
+    /**
+     * Sends Jingle 'source-add' and 'source-remove' messages to the remote
+     * side describing the difference between the old and the new local SDP.
+     * If the XMPP connection is down at the time, the update is deferred
+     * until it comes back.
+     * @param {SDP} oldSDP the SDP before the local sources changed
+     * @param {SDP} newSDP the SDP after the local sources changed
+     */
+    notifyMySSRCUpdate(oldSDP, newSDP) {
+        if (this.state !== JingleSessionState.ACTIVE) {
+            return;
+        }
+
+        if (!this.connection.connected) {
+            // The goal is to compare the oldest SDP with the latest one upon
+            // reconnect
+            if (!this._cachedOldLocalSdp) {
+                this._cachedOldLocalSdp = oldSDP;
+            }
+            this._cachedNewLocalSdp = newSDP;
+
+            return;
+        }
+
+        // send source-remove IQ.
+        let sdpDiffer = new SDPDiffer(newSDP, oldSDP);
+        const remove = $iq({ to: this.remoteJid,
+            type: 'set' })
+            .c('jingle', {
+                xmlns: 'urn:xmpp:jingle:1',
+                action: 'source-remove',
+                initiator: this.initiatorJid,
+                sid: this.sid
+            }
+            );
+        const removedAnySSRCs = sdpDiffer.toJingle(remove);
+
+        if (removedAnySSRCs) {
+            this.connection.sendIQ(
+                remove, null,
+                this.newJingleErrorHandler(remove), IQ_TIMEOUT);
+        }
+
+        // send source-add IQ.
+        sdpDiffer = new SDPDiffer(oldSDP, newSDP);
+        const add = $iq({ to: this.remoteJid,
+            type: 'set' })
+            .c('jingle', {
+                xmlns: 'urn:xmpp:jingle:1',
+                action: 'source-add',
+                initiator: this.initiatorJid,
+                sid: this.sid
+            }
+            );
+
+        const containsNewSSRCs = sdpDiffer.toJingle(add);
+
+        if (containsNewSSRCs) {
+            this.connection.sendIQ(
+                add, null, this.newJingleErrorHandler(add), IQ_TIMEOUT);
+        }
+    }
+
+    /**
+     * Enables/disables the media transfer on the peerconnection of this
+     * session. Used to suspend the JVB connection while the P2P connection is
+     * the active one.
+     * @param {boolean} active <tt>true</tt> to enable the media transfer or
+     * <tt>false</tt> to suspend it.
+     * @returns {Promise} resolved when the change has been applied.
+     */
+    setMediaTransferActive(active) {
+        const workFunction = finishedCallback => {
+            const shouldRenegotiate = this.peerconnection.setMediaTransferActive(active);
+
+            // The new direction will be negotiated together with the session
+            // if it's not active yet.
+            if (!shouldRenegotiate || this.state !== JingleSessionState.ACTIVE) {
+                finishedCallback();
+
+                return;
+            }
+
+            this._renegotiate()
+                .then(() => finishedCallback(), error => finishedCallback(error));
+        };
+
+        return new Promise((resolve, reject) => {
+            this.modificationQueue.push(
+                workFunction,
+                error => {
+                    if (error) {
+                        reject(error);
+                    } else {
+                        resolve();
+                    }
+                });
+        });
+    }
+
+    /**
+     * Sends Jingle 'session-terminate' message (unless told otherwise) and
+     * closes the session.
+     * @param {function} [success] callback called when the RESULT for the
+     * 'session-terminate' is received.
+     * @param {function(error)} [failure] callback called when the request has
+     * failed or timed out.
+     * @param {Object} [options]
+     * @param {string} [options.reason] XMPP Jingle error condition
+     * @param {string} [options.reasonDescription] some meaningful error message
+     * @param {boolean} [options.requestRestart=false] set to <tt>true</tt> to
+     * ask Jicofo to start a new session (with a new bridge if needed) after
+     * this one is terminated.
+     * @param {boolean} [options.sendSessionTerminate=true] set to
+     * <tt>false</tt> to skip sending session-terminate.
+     */
+    terminate(success, failure, options) {
+        if (this.state === JingleSessionState.ENDED) {
+            return;
+        }
+
+        if (!options || options.sendSessionTerminate !== false) {
+            let sessionTerminate
+                = $iq({
+                    to: this.remoteJid,
+                    type: 'set'
+                })
+                    .c('jingle', {
+                        xmlns: 'urn:xmpp:jingle:1',
+                        action: 'session-terminate',
+                        initiator: this.initiatorJid,
+                        sid: this.sid
+                    })
+                    .c('reason')
+                    .c((options && options.reason) || 'success')
+                    .up();
+
+            if (options && options.reasonDescription) {
+                sessionTerminate
+                    .c('text')
+                    .t(options.reasonDescription)
+                    .up()
+                    .up();
+            } else {
+                sessionTerminate.up();
+            }
+
+            this._bridgeSessionId
+                && sessionTerminate.c(
+                    'bridge-session', {
+                        xmlns: 'http://jitsi.org/protocol/focus',
+                        id: this._bridgeSessionId,
+                        restart: options && options.requestRestart === true
+                    }).up();
+
+            // Calling tree() to print something useful
+            sessionTerminate = sessionTerminate.tree();
+            this.connection.sendIQ(
+                sessionTerminate,
+                success,
+                this.newJingleErrorHandler(sessionTerminate, failure),
+                IQ_TIMEOUT);
+        } else if (success) {
+            success();
+        }
+
+        // Do not wait for the response, close the session right away
+        this.close();
+    }
+
+    /**
+     * Handles a Jingle 'session-terminate' received from the remote side.
+     * @param {string} reasonCondition the Jingle reason condition
+     * @param {string|null} reasonText human readable reason text which may
+     * provide more details about why the call has been terminated.
+     */
+    onTerminated(reasonCondition, reasonText) { // eslint-disable-line no-unused-vars
+        this.close();
+    }
+
+    /**
+     * Closes the peerconnection and releases the XMPP listeners of this
+     * session. The session can not be used anymore after this call.
+     */
+    close() {
+        this.state = JingleSessionState.ENDED;
+        this.closed = true;
+        this.establishmentDuration = undefined;
+
+        if (this.peerconnection) {
+            this.peerconnection.onicecandidate = null;
+            this.peerconnection.oniceconnectionstatechange = null;
+        }
+
+        // Remove any pending tasks from the queue
+        this.modificationQueue.clear();
+
+        this.modificationQueue.push(finishCallback => {
+            // do not try to close if already closed.
+            this.peerconnection && this.peerconnection.close();
+            finishCallback();
+        });
+
+        // No more tasks can go in after the close task
+        this.modificationQueue.shutdown();
+
+        this._xmppListeners.forEach(removeListener => removeListener());
+        this._xmppListeners = [];
+
+        // The plugin won't dispatch any more Jingle IQs to this session
+        this.connection.jingle && this.connection.jingle.terminate(this.sid);
+    }
+
     /**
      * Method returns function(errorResponse) which is a callback to be passed
      * to Strophe connection.sendIQ method. An 'error' structure is created that
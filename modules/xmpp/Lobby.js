@@ -0,0 +1,400 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
+import { $msg, Strophe } from 'strophe.js';
+
+const logger = getLogger(__filename);
+
+/**
+ * The presence node used by the participants waiting in the lobby to publish
+ * their email.
+ * @type {string}
+ */
+const EMAIL_COMMAND = 'email';
+
+/**
+ * The Lobby room implementation. Setting a room to members only, joining the
+ * lobby room, approving or denying access to participants from the lobby room.
+ *
+ * The lobby is a separate MUC, announced by the server when the main room is
+ * members only. Moderators of the main room join it to see who is waiting,
+ * while the participants which are not members of the main room ("knockers")
+ * join it and wait for an invite to the main room.
+ */
+export default class Lobby {
+    /**
+     * Constructs lobby room.
+     *
+     * @param {ChatRoom} room - Main room.
+     */
+    constructor(room) {
+        this.xmpp = room.xmpp;
+        this.mainRoom = room;
+
+        const maybeJoinLobbyRoom = this._maybeJoinLobbyRoom.bind(this);
+
+        this.mainRoom.addEventListener(
+            'xmpp.localrole_changed', maybeJoinLobbyRoom);
+        this.mainRoom.addEventListener(
+            'xmpp.muc_members_only_changed', maybeJoinLobbyRoom);
+        this.mainRoom.addEventListener(
+            'xmpp.room_connect_error.members_only', jid => {
+                this.lobbyRoomJid = jid;
+            });
+        this.mainRoom.addEventListener(
+            'xmpp.room_info_changed', roomInfo => {
+                if (roomInfo.lobbyroom) {
+                    this.lobbyRoomJid = roomInfo.lobbyroom;
+                    maybeJoinLobbyRoom();
+                }
+            });
+    }
+
+    /**
+     * Whether lobby is supported on backend.
+     *
+     * @returns {boolean} whether lobby is supported on backend.
+     */
+    isSupported() {
+        return Boolean(this.xmpp.lobbySupported);
+    }
+
+    /**
+     * Enables lobby by setting the main room to be members only and joins the
+     * lobby chat room.
+     *
+     * @returns {Promise}
+     */
+    enable() {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Lobby not supported!'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.mainRoom.setMembersOnly(true, resolve, reject);
+        });
+    }
+
+    /**
+     * Disable lobby by setting the main room to be non members only and levaes
+     * the lobby chat room if joined.
+     *
+     * @returns {Promise}
+     */
+    disable() {
+        if (!this.isSupported() || !this.mainRoom.isModerator()
+                || !this.mainRoom.membersOnlyEnabled) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.mainRoom.setMembersOnly(false, resolve, reject);
+        });
+    }
+
+    /**
+     * Leaves the lobby room.
+     *
+     * @returns {Promise}
+     */
+    leave() {
+        this._removeKnockerInviteListener();
+
+        if (this.lobbyRoom) {
+            const lobbyRoom = this.lobbyRoom;
+
+            this.lobbyRoom = undefined;
+
+            return lobbyRoom.leave()
+                .then(() => {
+                    logger.info('Lobby room left!');
+                })
+                .catch(error => {
+                    logger.error('Failed to leave the lobby room', error);
+                });
+        }
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Checks the state of mainRoom, lobbyRoom and current user role to decide
+     * whether to join lobby room.
+     * @private
+     */
+    _maybeJoinLobbyRoom() {
+        if (!this.isSupported()) {
+            return;
+        }
+
+        const isModerator = this.mainRoom.joined && this.mainRoom.isModerator();
+
+        if (isModerator && this.mainRoom.membersOnlyEnabled && !this.lobbyRoom
+                && this.lobbyRoomJid) {
+            // join the lobby
+            this.join()
+                .then(() => logger.info('Joined lobby room'))
+                .catch(e => logger.error('Failed joining lobby', e));
+        }
+    }
+
+    /**
+     * Joins a lobby room setting display name and eventually avatar(using the
+     * email provided).
+     *
+     * @param {string} username is required.
+     * @param {string} email is optional.
+     * @returns {Promise} resolves once we join the room.
+     */
+    join(username, email) {
+        const isModerator = this.mainRoom.joined && this.mainRoom.isModerator();
+
+        if (!this.lobbyRoomJid) {
+            return Promise.reject(
+                new Error('Missing lobbyRoomJid, cannot join lobby room.'));
+        }
+
+        const roomName = Strophe.getNodeFromJid(this.lobbyRoomJid);
+        const customDomain = Strophe.getDomainFromJid(this.lobbyRoomJid);
+
+        this.lobbyRoom = this.xmpp.createRoom(
+            roomName, {
+                customDomain,
+                disableDiscoInfo: true,
+                disableFocus: true,
+                enableLobby: false
+            }
+        );
+
+        if (isModerator) {
+            this._addModeratorListeners();
+        } else {
+            this._addKnockerListeners();
+        }
+
+        const lobbyRoom = this.lobbyRoom;
+
+        return new Promise((resolve, reject) => {
+            // drop the room we failed to join, so that joining can be retried
+            const onJoinFailed = error => {
+                this._removeKnockerInviteListener();
+                this.xmpp.connection.emuc.doLeave(lobbyRoom.roomjid);
+                if (this.lobbyRoom === lobbyRoom) {
+                    this.lobbyRoom = undefined;
+                }
+                reject(error);
+            };
+
+            lobbyRoom.addEventListener('xmpp.muc_joined', () => {
+                resolve();
+
+                // send our email, as we do not handle this on initial presence
+                email
+                    && lobbyRoom.addOrReplaceInPresence(
+                        EMAIL_COMMAND, { value: email })
+                    && lobbyRoom.sendPresence();
+            });
+            lobbyRoom.addEventListener('xmpp.room_connect_error', onJoinFailed);
+            lobbyRoom.addEventListener(
+                'xmpp.room_connect_error.members_only', onJoinFailed);
+            lobbyRoom.addEventListener(
+                'xmpp.room_connect_error.conflict', onJoinFailed);
+
+            if (username) {
+                lobbyRoom.addOrReplaceInPresence('nick', {
+                    attributes: { xmlns: 'http://jabber.org/protocol/nick' },
+                    value: username
+                });
+            }
+
+            lobbyRoom.join().catch(onJoinFailed);
+        });
+    }
+
+    /**
+     * Listens for the participants waiting in the lobby room and reports them
+     * through the events of the main room.
+     * @private
+     */
+    _addModeratorListeners() {
+        const mainEmitter = this.mainRoom.eventEmitter;
+
+        this.lobbyRoom.addPresenceListener(EMAIL_COMMAND, (node, id) => {
+            mainEmitter.emit(
+                'xmpp.muc_lobby_member_updated', id, { email: node.value });
+        });
+        this.lobbyRoom.addEventListener(
+            'xmpp.muc_member_joined',
+
+            // eslint-disable-next-line max-params
+            (from, nick, role, isHiddenDomain, statsID, status, identity, botType, jid) => {
+                // we need to ignore joins on lobby for participants that are
+                // already in the main room
+                if (Object.values(this.mainRoom.members).find(m => m.jid === jid)) {
+                    return;
+                }
+
+                // we emit the new event on the main room so we can propagate
+                // events to the conference
+                mainEmitter.emit(
+                    'xmpp.muc_lobby_member_joined',
+                    Strophe.getResourceFromJid(from),
+                    nick);
+            });
+        this.lobbyRoom.addEventListener(
+            'xmpp.muc_member_left', from => {
+                mainEmitter.emit(
+                    'xmpp.muc_lobby_member_left',
+                    Strophe.getResourceFromJid(from));
+            });
+        this.lobbyRoom.addEventListener(
+            'xmpp.muc_destroyed', () => {
+                // let's make sure we can join lobby later if it was re-enabled
+                this.lobbyRoom = undefined;
+                logger.info('Lobby room left(destroyed)!');
+            });
+    }
+
+    /**
+     * Waits for the outcome of the knocking: an invite to the main room, being
+     * kicked out of the lobby (denied) or the lobby going away.
+     * @private
+     */
+    _addKnockerListeners() {
+        const mainEmitter = this.mainRoom.eventEmitter;
+
+        this.lobbyRoom.addEventListener('xmpp.kicked', isSelfPresence => {
+            if (isSelfPresence) {
+                this._removeKnockerInviteListener();
+                this.lobbyRoom = undefined;
+                mainEmitter.emit('xmpp.muc_denied_access');
+            }
+        });
+
+        // The invite is sent from the main room, so it is delivered to it even
+        // though we are not an occupant there yet.
+        this._removeKnockerInviteListener();
+        this._removeInviteListener = this.mainRoom.addEventListener(
+            'xmpp.invite_message_received',
+            (roomJid, from, txt, invitePassword) => {
+                logger.info(`Received approval to join ${roomJid} ${from} ${txt}`);
+                if (roomJid === this.mainRoom.roomjid) {
+                    this._removeKnockerInviteListener();
+
+                    // we are now allowed, let's join and leave lobby
+                    this._joinMainRoom(invitePassword);
+                }
+            });
+
+        this.lobbyRoom.addEventListener(
+            'xmpp.muc_destroyed', (reason, jid) => {
+                this.lobbyRoom = undefined;
+
+                // we are receiving the jid of the main room, meaning we are
+                // invited to join, the lobby was probably disabled
+                if (jid) {
+                    this._joinMainRoom();
+
+                    return;
+                }
+                this._removeKnockerInviteListener();
+                mainEmitter.emit('xmpp.muc_destroyed', reason);
+            });
+    }
+
+    /**
+     * Removes the listener for the invite to the main room, if any.
+     * @private
+     */
+    _removeKnockerInviteListener() {
+        if (this._removeInviteListener) {
+            this._removeInviteListener();
+            this._removeInviteListener = undefined;
+        }
+    }
+
+    /**
+     * Joins the main room after we were allowed in and leaves the lobby.
+     *
+     * @param {string} [password] - The password received with the invite.
+     * @private
+     */
+    _joinMainRoom(password) {
+        this.mainRoom.join(password || this.mainRoom.password)
+            .catch(error => logger.error('Failed to join the main room', error));
+        this.leave();
+    }
+
+    /**
+     * Should be possible only for moderators.
+     * @param id
+     */
+    denyAccess(id) {
+        if (!this.isSupported() || !this.mainRoom.isModerator()
+                || !this.lobbyRoom) {
+            return;
+        }
+
+        const jid = Object.keys(this.lobbyRoom.members)
+            .find(j => Strophe.getResourceFromJid(j) === id);
+
+        if (jid) {
+            this.lobbyRoom.kick(jid);
+        } else {
+            logger.error(`Not found member for ${id} in lobby room.`);
+        }
+    }
+
+    /**
+     * Should be possible only for moderators.
+     * @param id
+     */
+    approveAccess(id) {
+        if (!this.isSupported() || !this.mainRoom.isModerator()
+                || !this.lobbyRoom) {
+            return;
+        }
+
+        const memberRoomJid = Object.keys(this.lobbyRoom.members)
+            .find(j => Strophe.getResourceFromJid(j) === id);
+
+        if (memberRoomJid) {
+            const jid = this.lobbyRoom.members[memberRoomJid].jid;
+            const msgToSend
+                = $msg({ to: this.mainRoom.roomjid })
+                    .c('x', { xmlns: 'http://jabber.org/protocol/muc#user' })
+                    .c('invite', { to: jid });
+
+            this.xmpp.connection.send(msgToSend);
+        } else {
+            logger.error(`Not found member for ${id} in lobby room.`);
+        }
+    }
+
+    /**
+     * Returns the participants waiting in the lobby, as seen by a moderator.
+     *
+     * @returns {Array<Object>} The id and the display name of each of them.
+     */
+    getLobbyMembers() {
+        if (!this.lobbyRoom) {
+            return [];
+        }
+
+        const mainRoomJids
+            = Object.values(this.mainRoom.members).map(m => m.jid);
+
+        // the other moderators are in the lobby room too
+        return Object.keys(this.lobbyRoom.members)
+            .filter(jid => {
+                const member = this.lobbyRoom.members[jid];
+
+                return !member.isFocus && mainRoomJids.indexOf(member.jid) === -1;
+            })
+            .map(jid => {
+                return {
+                    id: Strophe.getResourceFromJid(jid),
+                    name: this.lobbyRoom.members[jid].nick
+                };
+            });
+    }
+}
@@ -0,0 +1,127 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
+
+import { getJitterDelay } from '../util/Retry';
+
+const logger = getLogger(__filename);
+
+/**
+ * The class contains the logic for triggering connection resume via XEP-0198 stream management. It tracks the retry
+ * attempts and extends the retry interval using the full jitter pattern.
+ */
+export default class ResumeTask {
+    /**
+     * Initializes new {@code ResumeTask}.
+     * @param {Strophe.Connection} stropheConnection - The Strophe connection instance.
+     */
+    constructor(stropheConnection) {
+        this._stropheConn = stropheConnection;
+
+        /**
+         * The number of the current resume attempt.
+         * @type {number}
+         * @private
+         */
+        this._resumeRetryN = 0;
+    }
+
+    /**
+     * @returns {number|undefined} - How much the last scheduled resume attempt was delayed (in milliseconds) or
+     * {@code undefined} if there is no resume attempt scheduled.
+     */
+    get retryDelay() {
+        return this._retryDelay;
+    }
+
+    /**
+     * Called by {@link XmppConnection} when the connection drops and it's a signal it wants to schedule a reconnect.
+     *
+     * @returns {void}
+     */
+    schedule() {
+        this._cancelResume();
+
+        this._resumeRetryN += 1;
+
+        // The retry delay will be:
+        //   1st retry: 1.5s - 3s
+        //   2nd retry: 3s - 9s
+        //   3rd and next retry: 4.5s - 27s
+        const retry = Math.min(3, this._resumeRetryN);
+
+        this._retryDelay = getJitterDelay(
+            /* retry */ retry,
+            /* minDelay */ retry * 1500,
+            3);
+
+        logger.info(`Will try to resume the XMPP connection in ${this.retryDelay}ms`);
+
+        this._resumeTimeout = setTimeout(() => this._resumeConnection(), this.retryDelay);
+    }
+
+    /**
+     * Cancels the delayed resume task.
+     *
+     * @private
+     * @returns {void}
+     */
+    _cancelResume() {
+        if (this._resumeTimeout) {
+            logger.info('Canceling connection resume task');
+            clearTimeout(this._resumeTimeout);
+            this._resumeTimeout = undefined;
+            this._retryDelay = undefined;
+        }
+    }
+
+    /**
+     * Resumes the XMPP connection using the stream management plugin.
+     *
+     * @private
+     * @returns {void}
+     */
+    _resumeConnection() {
+        const { streamManagement } = this._stropheConn;
+        const resumeToken = streamManagement.getResumeToken();
+
+        this._resumeTimeout = undefined;
+
+        // Things may have changed since when the task was scheduled
+        if (!resumeToken) {
+            return;
+        }
+
+        logger.info('Trying to resume the XMPP connection');
+
+        const url = new URL(this._stropheConn.service);
+        let { search } = url;
+        const pattern = /(previd=)([\w-]+)/;
+        const oldToken = search.match(pattern);
+
+        // Replace previd if the previd value has changed.
+        if (oldToken && oldToken.indexOf(resumeToken) === -1) {
+            search = search.replace(pattern, `$1${resumeToken}`);
+
+        // Append previd if it doesn't exist.
+        } else if (!oldToken) {
+            search += search.indexOf('?') === -1 ? `?previd=${resumeToken}` : `&previd=${resumeToken}`;
+        }
+
+        url.search = search;
+
+        this._stropheConn.service = url.toString();
+
+        streamManagement.resume();
+    }
+
+    /**
+     * Cancels the retry task. It's called by {@link XmppConnection} when it's no longer interested in reconnecting for
+     * example when the disconnect method is called.
+     *
+     * @returns {void}
+     */
+    cancel() {
+        this._cancelResume();
+        this._resumeRetryN = 0;
+    }
+}
@@ -103,4 +103,18 @@ export default class SignalingLayerImpl extends SignalingLayer {
         }
         this.ssrcOwners.set(ssrc, endpointId);
     }
+
+    /**
+     * Removes the owners of the given SSRCs, once the sources are gone.
+     * @param {Array<number>} ssrcList the SSRCs of the removed sources
+     */
+    removeSSRCOwners(ssrcList) {
+        if (!ssrcList || !ssrcList.length) {
+            return;
+        }
+
+        for (const ssrc of ssrcList) {
+            this.ssrcOwners.delete(ssrc);
+        }
+    }
 }
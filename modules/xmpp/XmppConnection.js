@@ -1,6 +1,15 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
 import { Strophe } from 'strophe.js';
+import 'strophejs-plugin-stream-management';
 
 import Listenable from '../util/Listenable';
+
+import ResumeTask from './ResumeTask';
+import PingConnectionPlugin from './strophe.ping';
+
+const logger = getLogger(__filename);
+
 /**
  * The lib-jitsi-meet layer for {@link Strophe.Connection}.
  */
@@ -41,22 +50,48 @@ export default class XmppConnection extends Listenable {
      * @param {Number} [options.websocketKeepAliveUrl] - The websocket keep alive url to use if any,
      * if missing the serviceUrl url will be used.
      * @param {Object} [options.xmppPing] - The xmpp ping settings.
+     * @param {Array<Function>} [options.mechanisms] - The Strophe SASL mechanisms to register instead of the default
+     * ones.
      */
-    constructor({ serviceUrl }) {
+    constructor({
+        enableWebsocketResume,
+        mechanisms,
+        websocketKeepAlive,
+        websocketKeepAliveUrl,
+        serviceUrl,
+        shard,
+        xmppPing
+    }) {
         super();
 
-        this._stropheConn = new Strophe.Connection(serviceUrl);
+        this._options = {
+            enableWebsocketResume: typeof enableWebsocketResume === 'undefined' ? true : enableWebsocketResume,
+            pingOptions: xmppPing,
+            shard,
+            websocketKeepAlive: typeof websocketKeepAlive === 'undefined' ? 60 * 1000 : Number(websocketKeepAlive),
+            websocketKeepAliveUrl
+        };
+
+        this._stropheConn = new Strophe.Connection(serviceUrl, mechanisms ? { mechanisms } : {});
         console.log("----------Strophe Connection----------")
         this._usesWebsocket = serviceUrl.startsWith('ws:') || serviceUrl.startsWith('wss:');
         // The default maxRetries is 5, which is too long.
         this._stropheConn.maxRetries = 3;
 
+        if (!this._usesWebsocket) {
+            this._interceptBoshResponses();
+        }
+
+        this._resumeTask = new ResumeTask(this._stropheConn);
+
         /**
          * @typedef DeferredSendIQ Object
          * @property {Element} iq - The IQ to send.
          * @property {function} resolve - The resolve method of the deferred Promise.
          * @property {function} reject - The reject method of the deferred Promise.
          * @property {number} timeout - The ID of the timeout task that needs to be cleared, before sending the IQ.
+         * @property {number} start - The time when the IQ was deferred.
+         * @property {number} timeoutMs - The IQ timeout in milliseconds.
          */
         /**
          * Deferred IQs to be sent upon reconnect.
@@ -65,6 +100,15 @@ export default class XmppConnection extends Listenable {
          */
         this._deferredIQs = [];
 
+        // Ping plugin is mandatory for the Websocket mode to work correctly. It's used to detect when the connection
+        // is broken (WebSocket/TCP connection not closed gracefully).
+        this.addConnectionPlugin(
+            'ping',
+            new PingConnectionPlugin({
+                onPingThresholdExceeded: () => this._onPingErrorThresholdExceeded(),
+                pingOptions: xmppPing
+            }));
+
         // tracks whether this is the initial connection or a reconnect
         this._oneSuccessfulConnect = false;
         console.log("11111this._stropheConn.disco:", this._stropheConn.disco)
@@ -82,6 +126,15 @@ export default class XmppConnection extends Listenable {
             && (!this.isUsingWebSocket || (websocket && websocket.readyState === WebSocket.OPEN));
     }
 
+    /**
+     * Retrieves the domain of the XMPP server the connection is established with.
+     *
+     * @returns {string|null}
+     */
+    get domain() {
+        return this._stropheConn.domain;
+    }
+
     /**
      * Retrieves the feature discovery plugin instance.
      *
@@ -131,6 +184,19 @@ export default class XmppConnection extends Listenable {
         this._stropheConn.addHandler(...args);
     }
 
+    /**
+     * Closes the WebSocket in a way that Strophe treats it as an unexpectedly
+     * dropped connection, which makes {@link XmppConnection} try to resume it.
+     *
+     * @returns {void}
+     */
+    closeWebsocket() {
+        if (this._stropheConn && this._stropheConn._proto) {
+            this._stropheConn._proto._closeSocket();
+            this._stropheConn._proto._onClose(null);
+        }
+    }
+
     /**
      * Wraps Strophe.Connection.connect method in order to intercept the connection status updates.
      * See {@link Strophe.Connection.connect} for the params description.
@@ -144,6 +210,211 @@ export default class XmppConnection extends Listenable {
 
     /* eslint-enable max-params */
 
+    /**
+     * Closes the connection. The IQs waiting for the connection to be
+     * restored are rejected, because they will never be sent.
+     * See {@link Strophe.Connection.disconnect} for the params description.
+     *
+     * @returns {void}
+     */
+    disconnect(...args) {
+        this._resumeTask.cancel();
+        clearTimeout(this._wsKeepAlive);
+        this._wsKeepAlive = undefined;
+        this.ping.stopInterval();
+        this._clearDeferredIQs();
+        this._stropheConn.disconnect(...args);
+    }
+
+    /**
+     * Makes the BOSH transport check the shard header of every HTTP response.
+     *
+     * @private
+     * @returns {void}
+     */
+    _interceptBoshResponses() {
+        const bosh = this._stropheConn._proto;
+        const onRequestStateChange = bosh._onRequestStateChange;
+
+        bosh._onRequestStateChange = (func, req) => {
+            if (req.xhr.readyState === 4 && req.xhr.status === 200) {
+                this._checkShard(req.xhr.getResponseHeader('x-jitsi-shard'));
+            }
+            onRequestStateChange.call(bosh, func, req);
+        };
+    }
+
+    /**
+     * Compares the shard reported by the server with the one the connection
+     * was configured for and emits {@link XmppConnection.Events.CONN_SHARD_CHANGED}
+     * (once) if they differ.
+     *
+     * @param {string|null} responseShard - The value of the shard header.
+     * @private
+     * @returns {void}
+     */
+    _checkShard(responseShard) {
+        const { shard } = this._options;
+
+        // skips header checking if there is no info in options
+        if (!shard || !responseShard || this._shardChanged) {
+            return;
+        }
+
+        if (responseShard !== shard) {
+            logger.error(`Detected that shard changed from ${shard} to ${responseShard}`);
+            this._shardChanged = true;
+            this.eventEmitter.emit(XmppConnection.Events.CONN_SHARD_CHANGED, responseShard);
+        }
+    }
+
+    /**
+     * Rejects the IQs waiting for the connection to be restored, because they
+     * will never be sent.
+     *
+     * @private
+     * @returns {void}
+     */
+    _clearDeferredIQs() {
+        for (const deferred of this._deferredIQs) {
+            clearTimeout(deferred.timeout);
+            deferred.iq && deferred.reject('Not connected');
+        }
+        this._deferredIQs = [];
+    }
+
+    /**
+     * Sends the IQs which were queued by {@link sendIQ2} while the connection
+     * was being restored. Each IQ is given what's left of its timeout.
+     *
+     * @private
+     * @returns {void}
+     */
+    _processDeferredIQs() {
+        for (const deferred of this._deferredIQs) {
+            if (deferred.iq) {
+                clearTimeout(deferred.timeout);
+
+                const timeLeft = deferred.timeoutMs - (Date.now() - deferred.start);
+
+                this.sendIQ(
+                    deferred.iq,
+                    result => deferred.resolve(result),
+                    error => deferred.reject(error),
+                    Math.max(timeLeft, 0));
+            }
+        }
+
+        this._deferredIQs = [];
+    }
+
+    /**
+     * Requests XEP-0198 stream management with resumption, if enabled and
+     * supported by the server.
+     *
+     * @private
+     * @returns {void}
+     */
+    _maybeEnableStreamResume() {
+        if (!this._options.enableWebsocketResume) {
+            return;
+        }
+
+        const { streamManagement } = this._stropheConn;
+
+        if (!this.isUsingWebSocket) {
+            logger.warn('Stream resume enabled, but WebSockets are not enabled');
+        } else if (!streamManagement) {
+            logger.warn('Stream resume enabled, but Strophe streamManagement plugin is not installed');
+        } else if (!streamManagement.isSupported()) {
+            logger.warn('Stream resume enabled, but XEP-0198 is not supported by the server');
+        } else if (!streamManagement.getResumeToken()) {
+            logger.info('Enabling XEP-0198 stream management');
+            streamManagement.enable(/* resume */ true);
+        }
+    }
+
+    /**
+     * Schedules the next WebSocket keep-alive request, if the WebSocket
+     * transport is used and the keep-alive is enabled.
+     *
+     * @private
+     * @returns {void}
+     */
+    _maybeStartWSKeepAlive() {
+        const { websocketKeepAlive } = this._options;
+
+        if (this._usesWebsocket && websocketKeepAlive > 0) {
+            this._wsKeepAlive || logger.info(`WebSocket keep alive interval: ${websocketKeepAlive}ms`);
+            clearTimeout(this._wsKeepAlive);
+
+            const intervalWithJitter = /* base */ websocketKeepAlive + /* jitter */ (Math.random() * 60 * 1000);
+
+            logger.debug(`Scheduling next WebSocket keep-alive in ${intervalWithJitter}ms`);
+
+            this._wsKeepAlive = setTimeout(
+                () => this._keepAliveAndCheckShard()
+                    .then(() => this._maybeStartWSKeepAlive()),
+                intervalWithJitter);
+        }
+    }
+
+    /**
+     * Sends the HTTP GET keep-alive request, which keeps the load balancers
+     * between this client and the XMPP server from killing the idle session.
+     * The shard header of the response is checked against the configured
+     * shard.
+     *
+     * @private
+     * @returns {Promise} - Resolved when the request is done (successful or
+     * not).
+     */
+    _keepAliveAndCheckShard() {
+        const { websocketKeepAliveUrl } = this._options;
+        const url = websocketKeepAliveUrl ? websocketKeepAliveUrl
+            : this._stropheConn.service.replace('wss://', 'https://').replace('ws://', 'http://');
+
+        return fetch(url)
+            .then(response => this._checkShard(response.headers.get('x-jitsi-shard')))
+            .catch(error => {
+                logger.error(`Websocket Keep alive failed for url: ${url}`, { error });
+            });
+    }
+
+    /**
+     * Called when the XMPP pings have failed too many times in a row. Tears
+     * the WebSocket down, so that the connection is resumed.
+     *
+     * @private
+     * @returns {void}
+     */
+    _onPingErrorThresholdExceeded() {
+        if (this.isUsingWebSocket) {
+            logger.warn('Ping error threshold exceeded - closing the WebSocket');
+            this.closeWebsocket();
+        }
+    }
+
+    /**
+     * Schedules the resumption of the connection, if the server gave us a
+     * resume token.
+     *
+     * @private
+     * @returns {boolean} - <tt>true</tt> if the resumption has been scheduled.
+     */
+    _tryResumingConnection() {
+        const { streamManagement } = this._stropheConn;
+        const resumeToken = streamManagement && streamManagement.getResumeToken();
+
+        if (resumeToken) {
+            this._resumeTask.schedule();
+
+            return true;
+        }
+
+        return false;
+    }
+
     /**
      * Handles {@link Strophe.Status} updates for the current connection.
      *
@@ -155,8 +426,38 @@ export default class XmppConnection extends Listenable {
      */
     _stropheConnectionCb(targetCallback, status, ...args) {
         this._status = status;
-        targetCallback(status, ...args);
-        this.eventEmitter.emit(XmppConnection.Events.CONN_STATUS_CHANGED, status);
+
+        let blockCallback = false;
+
+        if (status === Strophe.Status.CONNECTED || status === Strophe.Status.ATTACHED) {
+            this._maybeEnableStreamResume();
+
+            // after connecting - immediately check whether shard changed,
+            // we need this only when using websockets as bosh checks headers from every response
+            if (this._usesWebsocket && this._oneSuccessfulConnect) {
+                this._keepAliveAndCheckShard();
+            }
+            this._oneSuccessfulConnect = true;
+            this._maybeStartWSKeepAlive();
+            this._processDeferredIQs();
+            this._resumeTask.cancel();
+            this.ping.startInterval((this._options.pingOptions && this._options.pingOptions.domain) || this.domain);
+        } else if (status === Strophe.Status.DISCONNECTED) {
+            this.ping.stopInterval();
+
+            // FIXME add RECONNECTING state instead of blocking the DISCONNECTED update
+            blockCallback = this._tryResumingConnection();
+            if (!blockCallback) {
+                clearTimeout(this._wsKeepAlive);
+                this._wsKeepAlive = undefined;
+                this._clearDeferredIQs();
+            }
+        }
+
+        if (!blockCallback) {
+            targetCallback(status, ...args);
+            this.eventEmitter.emit(XmppConnection.Events.CONN_STATUS_CHANGED, status);
+        }
     }
     /**
      * See {@link Strophe.Connection.flush}.
@@ -221,6 +522,7 @@ export default class XmppConnection extends Listenable {
                     resolve,
                     reject,
                     start: Date.now(),
+                    timeoutMs: timeout,
                     timeout: setTimeout(() => {
                         // clears the IQ on timeout and invalidates the deferred task
                         deferred.iq = undefined;
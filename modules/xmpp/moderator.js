@@ -1,4 +1,67 @@
-import { $iq } from 'strophe.js';
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
+import { $iq, Strophe } from 'strophe.js';
+
+import Settings from '../settings/Settings';
+
+const logger = getLogger(__filename);
+
+/**
+ * How long (in ms) to wait for Jicofo to respond to the conference request.
+ */
+const FOCUS_REQUEST_TIMEOUT = 15000;
+
+/**
+ * The default number of conference requests sent to Jicofo, before giving up.
+ */
+const DEFAULT_MAX_FOCUS_ALLOCATION_ATTEMPTS = 10;
+
+/**
+ * The longest delay (in ms) between two conference requests.
+ */
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Creates a function which returns exponentially growing timeouts.
+ *
+ * @param {number} step - The first timeout (in ms).
+ * @returns {Function} - Returns the next timeout when called without arguments
+ * or resets the sequence when called with <tt>true</tt>.
+ */
+function createExpBackoffTimer(step) {
+    let count = 1;
+
+    return function(reset) {
+        // Reset call
+        if (reset) {
+            count = 1;
+
+            return;
+        }
+
+        // Calculate next timeout
+        const timeout = Math.pow(2, count - 1);
+
+        count += 1;
+
+        return Math.min(timeout * step, MAX_RETRY_DELAY);
+    };
+}
+
+/**
+ * Reads the 'retry-after' hint (in seconds) from Jicofo's response.
+ *
+ * @param {Element} stanza - The response to the conference request.
+ * @returns {number|undefined} - The delay in ms or <tt>undefined</tt> if there
+ * is no hint.
+ */
+function getRetryAfter(stanza) {
+    const retryAfter = Number($(stanza).find('[retry-after]')
+        .first()
+        .attr('retry-after'));
+
+    return retryAfter > 0 ? retryAfter * 1000 : undefined;
+}
 
 /**
  *
@@ -6,6 +69,9 @@ import { $iq } from 'strophe.js';
  * @param xmpp
  * @param emitter
  * @param options
+ * @param {number} [options.conference.maxFocusAllocationAttempts=10] - How many
+ * conference requests are sent to Jicofo, before giving up with
+ * 'xmpp.focus_not_available'.
  */
 export default function Moderator(roomName, xmpp, emitter, options) {
     console.log("----------New Moderator----------")
@@ -17,8 +83,29 @@ export default function Moderator(roomName, xmpp, emitter, options) {
     this.eventEmitter = emitter;
 
     this.connection = this.xmppService.connection;
+
+    // External authentication stuff
+    this.externalAuthEnabled = false;
+
+    this.getNextTimeout = createExpBackoffTimer(1000);
+    this.getNextErrorTimeout = createExpBackoffTimer(1000);
+
+    const { maxFocusAllocationAttempts } = this.options.conference;
+
+    this.maxFocusAllocationAttempts
+        = typeof maxFocusAllocationAttempts === 'number'
+            ? maxFocusAllocationAttempts : DEFAULT_MAX_FOCUS_ALLOCATION_ATTEMPTS;
 }
 
+/**
+ * Tells whether Jicofo authenticates the users with an external service (as
+ * opposed to XMPP logins on the authenticated domain).
+ * @returns {boolean}
+ */
+Moderator.prototype.isExternalAuthEnabled = function() {
+    return this.externalAuthEnabled;
+};
+
 Moderator.prototype.setFocusUserJid = function(focusJid) {
     if (!this.focusUserJid) {
         this.focusUserJid = focusJid;
@@ -48,13 +135,13 @@ Moderator.prototype.createConferenceIq = function() {
         type: 'set' });
 
     // Session Id used for authentication
-    // const { sessionId } = Settings;
-    // const machineUID = Settings.machineId;
-    const { sessionId } = 1;
-    const machineUID = 2;
+    const { sessionId } = Settings;
+    const machineUID = Settings.machineId;
 
     const config = this.options.conference;
 
+    logger.info(`Session ID: ${sessionId} machine UID: ${machineUID}`);
+
     elem.c('conference', {
         xmlns: 'http://jitsi.org/protocol/focus',
         room: this.roomName,
@@ -76,48 +163,363 @@ Moderator.prototype.createConferenceIq = function() {
     return elem;
 };
 
-// FIXME We need to show the fact that we're waiting for the focus to the user
-// (or that the focus is not available)
 /**
- * Allocates the conference focus.
+ * Stores the session ID assigned by Jicofo (if any).
+ * @param resultIq - the result of the conference request
+ */
+Moderator.prototype.parseSessionId = function(resultIq) {
+    const sessionId = $(resultIq).find('conference').attr('session-id');
+
+    if (sessionId) {
+        logger.info(`Received sessionId:  ${sessionId}`);
+        Settings.sessionId = sessionId;
+    }
+};
+
+/**
+ * Reads the authentication settings of Jicofo from the result of the
+ * conference request and emits 'xmpp.identity_updated'.
+ * @param resultIq - the result of the conference request
+ */
+Moderator.prototype.parseConfigOptions = function(resultIq) {
+    this.setFocusUserJid($(resultIq).find('conference').attr('focusjid'));
+
+    const authenticationEnabled
+        = $(resultIq).find(
+            '>conference>property'
+            + '[name=\'authentication\'][value=\'true\']').length > 0;
+
+    logger.info(`Authentication enabled: ${authenticationEnabled}`);
+
+    this.externalAuthEnabled = $(resultIq).find(
+        '>conference>property'
+            + '[name=\'externalAuth\'][value=\'true\']').length > 0;
+
+    logger.info(`External authentication enabled: ${this.externalAuthEnabled}`);
+
+    if (!this.externalAuthEnabled) {
+        // We expect to receive sessionId in 'internal' authentication mode
+        this.parseSessionId(resultIq);
+    }
+
+    const authIdentity = $(resultIq).find('>conference').attr('identity');
+
+    this.eventEmitter.emit('xmpp.identity_updated', authenticationEnabled, authIdentity);
+};
+
+/**
+ * Allocates the conference focus. The conference request is repeated with an
+ * exponential backoff (or after the delay hinted by Jicofo) while Jicofo is
+ * not ready or fails, up to {@link maxFocusAllocationAttempts} times.
  *
- * @param {Function} callback - the function to be called back upon the
- * successful allocation of the conference focus
- * @returns {Promise} - Resolved when Jicofo allows to join the room. It's never
- * rejected and it'll keep on pinging Jicofo forever.
+ * @returns {Promise} - Resolved when Jicofo allows to join the room. Rejected
+ * when Jicofo is not available, the user is not authorized or the allocation
+ * has been canceled.
  */
 Moderator.prototype.allocateConferenceFocus = function() {
-    return new Promise(resolve => {
-        // Send create conference IQ
-        console.log("----------Send create conference IQ---------")
-        this.connection.sendIQ(
-            this.createConferenceIq(),
-            result => this._allocateConferenceFocusSuccess(result, resolve));
+    this.cancelConferenceFocusAllocation();
 
-        // XXX We're pressed for time here because we're beginning a complex
-        // and/or lengthy conference-establishment process which supposedly
-        // involves multiple RTTs. We don't have the time to wait for Strophe to
-        // decide to send our IQ.
-        // this.connection.flush();
+    this.getNextTimeout(true);
+    this.getNextErrorTimeout(true);
+    this._focusAllocationAttempts = 0;
+
+    return new Promise((resolve, reject) => {
+        const allocation = {
+            resolve,
+            reject
+        };
+
+        this._focusAllocation = allocation;
+        this._sendConferenceRequest(allocation);
     });
 };
 
+/**
+ * Cancels the pending conference focus allocation (if any). The promise
+ * returned by {@link allocateConferenceFocus} is rejected.
+ */
+Moderator.prototype.cancelConferenceFocusAllocation = function() {
+    const allocation = this._focusAllocation;
+
+    if (!allocation) {
+        return;
+    }
+
+    this._focusAllocation = undefined;
+    clearTimeout(allocation.timeout);
+    allocation.reject(new Error('The conference focus allocation was canceled'));
+};
+
+/**
+ * Sends the conference request of the given allocation.
+ *
+ * @param {Object} allocation - The pending allocation.
+ * @private
+ */
+Moderator.prototype._sendConferenceRequest = function(allocation) {
+    this._focusAllocationAttempts += 1;
+
+    // Send create conference IQ
+    logger.debug('Send create conference IQ');
+    this.connection.sendIQ(
+        this.createConferenceIq(),
+        result => {
+            this._focusAllocation === allocation
+                && this._allocateConferenceFocusSuccess(result, allocation);
+        },
+        error => {
+            this._focusAllocation === allocation
+                && this._allocateConferenceFocusError(error, allocation);
+        },
+        FOCUS_REQUEST_TIMEOUT);
+};
+
+/**
+ * Schedules the next conference request of the given allocation or fails it
+ * with 'xmpp.focus_not_available', if the attempts have been used up.
+ *
+ * @param {Object} allocation - The pending allocation.
+ * @param {number} waitMs - How long to wait before the next request.
+ * @private
+ */
+Moderator.prototype._retryConferenceRequest = function(allocation, waitMs) {
+    if (this._focusAllocationAttempts >= this.maxFocusAllocationAttempts) {
+        const focusComponent = this.getFocusComponent();
+
+        logger.error(`Focus not available after ${this._focusAllocationAttempts} attempts`);
+        this._focusAllocation = undefined;
+        this.eventEmitter.emit('xmpp.focus_not_available', focusComponent);
+        allocation.reject(new Error(`Focus ${focusComponent} is not available`));
+
+        return;
+    }
+
+    allocation.timeout = setTimeout(() => {
+        allocation.timeout = undefined;
+        this._sendConferenceRequest(allocation);
+    }, waitMs);
+};
+
+/**
+ * Fails the given allocation.
+ *
+ * @param {Object} allocation - The pending allocation.
+ * @param {Error} error - The reason.
+ * @private
+ */
+Moderator.prototype._failConferenceFocusAllocation = function(allocation, error) {
+    this._focusAllocation = undefined;
+    allocation.reject(error);
+};
+
+/**
+ * Invoked by {@link #allocateConferenceFocus} upon its request receiving an
+ * error result (or timing out).
+ *
+ * @param error - the error result of the request that
+ * {@link #allocateConferenceFocus} sent, <tt>null</tt> on timeout
+ * @param {Object} allocation - the pending allocation
+ */
+Moderator.prototype._allocateConferenceFocusError = function(error, allocation) {
+    if (!error || typeof error === 'string') {
+        // Timed out or not connected
+        const waitMs = this.getNextErrorTimeout();
+
+        logger.error(`Focus request ${error || 'timed out'}, retry after ${waitMs}`);
+        this._retryConferenceRequest(allocation, waitMs);
+
+        return;
+    }
+
+    // If the session is invalid, remove and try again without session ID to get
+    // a new one
+    const invalidSession
+        = $(error).find('>error>session-invalid').length
+            || $(error).find('>error>not-acceptable').length;
+
+    if (invalidSession && Settings.sessionId) {
+        logger.info('Session expired! - removing');
+        Settings.sessionId = undefined;
+        this._sendConferenceRequest(allocation);
+
+        return;
+    }
+
+    // Not authorized to create new room
+    if ($(error).find('>error>not-authorized').length) {
+        logger.warn('Unauthorized to start the conference', error);
+        const toDomain = Strophe.getDomainFromJid(error.getAttribute('to'));
+
+        if (toDomain !== this.options.connection.hosts.anonymousdomain) {
+            // FIXME "is external" should come either from the focus or
+            // config.js
+            this.externalAuthEnabled = true;
+        }
+        this._failConferenceFocusAllocation(
+            allocation, new Error('Not authorized to start the conference'));
+        this.eventEmitter.emit('xmpp.authentication_required');
+
+        return;
+    }
+
+    const waitMs = getRetryAfter(error) || this.getNextErrorTimeout();
+
+    logger.error(`Focus error, retry after ${waitMs}`, error);
+
+    // Reset response timeout
+    this.getNextTimeout(true);
+    this._retryConferenceRequest(allocation, waitMs);
+};
+
 /**
  * Invoked by {@link #allocateConferenceFocus} upon its request receiving a
  * success (i.e. non-error) result.
  *
  * @param result - the success (i.e. non-error) result of the request that
  * {@link #allocateConferenceFocus} sent
- * @param {Function} callback - the function to be called back upon the
- * successful allocation of the conference focus
+ * @param {Object} allocation - the pending allocation
  */
 Moderator.prototype._allocateConferenceFocusSuccess = function(
         result,
-        callback) {
+        allocation) {
+    // Setup config options
+    this.parseConfigOptions(result);
+
+    // Reset the error timeout (because we haven't failed here).
+    this.getNextErrorTimeout(true);
+
     if ($(result).find('conference').attr('ready') === 'true') {
         // Reset the non-error timeout (because we've succeeded here).
+        this.getNextTimeout(true);
+        this._focusAllocation = undefined;
+
         // Exec callback
         console.log("----------Send Conference IQ success----------")
-        callback();
-    } 
-};
\ No newline at end of file
+        allocation.resolve();
+    } else {
+        const waitMs = getRetryAfter(result) || this.getNextTimeout();
+
+        logger.info(`Waiting for the focus... ${waitMs}`);
+        this._retryConferenceRequest(allocation, waitMs);
+    }
+};
+
+/**
+ * Sends the conference request on an authenticated connection, which makes
+ * Jicofo assign a new session ID to the user.
+ *
+ * @returns {Promise} - Resolved once the session ID has been stored, rejected
+ * with the {@code error} condition and the {@code message} returned by Jicofo,
+ * or with the 'timeout' {@code error} if Jicofo did not answer in time.
+ */
+Moderator.prototype.authenticate = function() {
+    return new Promise((resolve, reject) => {
+        this.connection.sendIQ(
+            this.createConferenceIq(),
+            result => {
+                this.parseSessionId(result);
+                resolve();
+            },
+            errorIq => {
+                // Strophe calls the errback with null when the request times
+                // out.
+                if (!errorIq) {
+                    reject({ error: 'timeout' });
+
+                    return;
+                }
+
+                reject({
+                    error: $(errorIq).find('iq>error :first')
+                        .prop('tagName'),
+                    message: $(errorIq).find('iq>error>text')
+                        .text()
+                });
+            },
+            FOCUS_REQUEST_TIMEOUT
+        );
+    });
+};
+
+/**
+ * Asks Jicofo for the URL of the external authentication service.
+ *
+ * @param {boolean} popup - Whether the URL will be opened in a popup window.
+ * @returns {Promise<string>} - Resolved with the login URL.
+ */
+Moderator.prototype.getLoginUrl = function(popup = false) {
+    const iq = $iq({ to: this.getFocusComponent(),
+        type: 'get' });
+    const attrs = {
+        xmlns: 'http://jitsi.org/protocol/focus',
+        room: this.roomName,
+        'machine-uid': Settings.machineId
+    };
+
+    if (popup) {
+        attrs.popup = true;
+    }
+
+    iq.c('login-url', attrs);
+
+    return new Promise((resolve, reject) => {
+        this.connection.sendIQ(
+            iq,
+            result => {
+                const url = $(result).find('login-url').attr('url');
+
+                if (url) {
+                    logger.info(`Got auth url: ${url}`);
+                    resolve(decodeURIComponent(url));
+                } else {
+                    logger.error('Failed to get auth url from the focus', result);
+                    reject(new Error('No login URL returned by the focus'));
+                }
+            },
+            error => {
+                logger.error('Get auth url error', error);
+                reject(error);
+            });
+    });
+};
+
+/**
+ * Ends the authenticated session of the user with Jicofo.
+ *
+ * @returns {Promise<string|undefined>} - Resolved with the logout URL of the
+ * external authentication service, if any.
+ */
+Moderator.prototype.logout = function() {
+    const { sessionId } = Settings;
+
+    if (!sessionId) {
+        return Promise.resolve();
+    }
+
+    const iq = $iq({ to: this.getFocusComponent(),
+        type: 'set' });
+
+    iq.c('logout', {
+        xmlns: 'http://jitsi.org/protocol/focus',
+        'session-id': sessionId
+    });
+
+    return new Promise((resolve, reject) => {
+        this.connection.sendIQ(
+            iq,
+            result => {
+                let logoutUrl = $(result).find('logout').attr('logout-url');
+
+                if (logoutUrl) {
+                    logoutUrl = decodeURIComponent(logoutUrl);
+                }
+                logger.info(`Log out OK, url: ${logoutUrl}`, result);
+                Settings.sessionId = undefined;
+                resolve(logoutUrl);
+            },
+            error => {
+                logger.error('Logout error', error);
+                reject(error);
+            });
+    });
+};
@@ -30,6 +30,10 @@ export default class MucConnectionPlugin extends ConnectionPluginListenable {
             'presence', 'error', null);
         this.connection.addHandler(this.onMessage.bind(this), null,
             'message', null, null);
+        this.connection.addHandler(this.onMute.bind(this),
+            'http://jitsi.org/jitmeet/audio', 'iq', 'set', null, null);
+        this.connection.addHandler(this.onMuteVideo.bind(this),
+            'http://jitsi.org/jitmeet/video', 'iq', 'set', null, null);
     }
 
     /**
@@ -52,6 +56,14 @@ export default class MucConnectionPlugin extends ConnectionPluginListenable {
 
         return this.rooms[roomJid];
     }
+
+    /**
+     * Forgets the room with the given JID, so that it can be joined again.
+     * @param jid
+     */
+    doLeave(jid) {
+        delete this.rooms[jid];
+    }
     /**
      *
      * @param pres
@@ -133,4 +145,40 @@ export default class MucConnectionPlugin extends ConnectionPluginListenable {
 
         return true;
     }
+
+    /**
+     * Handles the audio mute requests sent by the focus.
+     * @param iq
+     */
+    onMute(iq) {
+        const from = iq.getAttribute('from');
+        const room = this.rooms[Strophe.getBareJidFromJid(from)];
+
+        // Returning false would result in the listener being deregistered by Strophe
+        if (!room) {
+            return true;
+        }
+
+        room.onMute(iq);
+
+        return true;
+    }
+
+    /**
+     * Handles the video mute requests sent by the focus.
+     * @param iq
+     */
+    onMuteVideo(iq) {
+        const from = iq.getAttribute('from');
+        const room = this.rooms[Strophe.getBareJidFromJid(from)];
+
+        // Returning false would result in the listener being deregistered by Strophe
+        if (!room) {
+            return true;
+        }
+
+        room.onMuteVideo(iq);
+
+        return true;
+    }
 }
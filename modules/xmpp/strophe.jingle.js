@@ -1,7 +1,11 @@
 import { $iq, Strophe } from 'strophe.js';
 
+import RandomUtil from '../util/RandomUtil';
+
 import ConnectionPlugin from './ConnectionPlugin';
 import JingleSessionPC from './JingleSessionPC';
+import * as JingleSessionState from './JingleSessionState';
+
 export default class JingleConnectionPlugin extends ConnectionPlugin {
     constructor(xmpp, eventEmitter, iceConfig) {
         console.log("----------New Jingle Plugin----------")
@@ -39,6 +43,51 @@ export default class JingleConnectionPlugin extends ConnectionPlugin {
 
         let sess = this.sessions[sid];
 
+        if (action !== 'session-initiate') {
+            if (!sess) {
+                ack.attrs({ type: 'error' });
+                ack.c('error', { type: 'cancel' })
+                    .c('item-not-found', {
+                        xmlns: 'urn:ietf:params:xml:ns:xmpp-stanzas'
+                    })
+                    .up()
+                    .c('unknown-session', {
+                        xmlns: 'urn:xmpp:jingle:errors:1'
+                    });
+                this.connection.send(ack);
+
+                return true;
+            }
+
+            // local jid is not checked
+            if (fromJid !== sess.remoteJid) {
+                ack.attrs({ type: 'error' });
+                ack.c('error', { type: 'cancel' })
+                    .c('item-not-found', {
+                        xmlns: 'urn:ietf:params:xml:ns:xmpp-stanzas'
+                    })
+                    .up()
+                    .c('unknown-session', {
+                        xmlns: 'urn:xmpp:jingle:errors:1'
+                    });
+                this.connection.send(ack);
+
+                return true;
+            }
+        } else if (sess !== undefined) {
+            // Existing session with same session id. This might be out-of-order
+            // if the sess.remoteJid is the same as from.
+            ack.attrs({ type: 'error' });
+            ack.c('error', { type: 'cancel' })
+                .c('service-unavailable', {
+                    xmlns: 'urn:ietf:params:xml:ns:xmpp-stanzas'
+                })
+                .up();
+            this.connection.send(ack);
+
+            return true;
+        }
+
         const now = window.performance.now();
 
         // FIXME that should work most of the time, but we'd have to
@@ -65,17 +114,106 @@ export default class JingleConnectionPlugin extends ConnectionPlugin {
                         isP2P,
                     /* initiator */ false);
 
-                // this.sessions[sess.sid] = sess;
+                this.sessions[sess.sid] = sess;
 
                 this.eventEmitter.emit('xmpp.callincoming.jingle', sess, $(iq).find('>jingle'), now);
                 break;
             }
+            case 'session-accept': {
+                this.eventEmitter.emit('xmpp.callaccepted.jingle', sess, $(iq).find('>jingle'));
+                break;
+            }
+            case 'addsource': // FIXME: proprietary, un-jingleish
+            case 'source-add': // FIXME: proprietary
+                sess.addRemoteStream($(iq).find('>jingle>content'));
+                break;
+            case 'removesource': // FIXME: proprietary, un-jingleish
+            case 'source-remove': // FIXME: proprietary
+                sess.removeRemoteStream($(iq).find('>jingle>content'));
+                break;
+            case 'transport-replace':
+                sess.replaceTransport($(iq).find('>jingle'), () => {
+                    // Transport replaced, the ICE connection is being restored
+                }, () => {
+                    sess.sendTransportReject();
+                });
+                break;
+            case 'content-modify':
+                sess.modifyContents($(iq).find('>jingle'));
+                break;
+            case 'transport-info': {
+                this.eventEmitter.emit('xmpp.transportinfo.jingle', sess, $(iq).find('>jingle'));
+                break;
+            }
+            case 'session-terminate': {
+                const reasonSelector = $(iq).find('>jingle>reason');
+                let reasonCondition = null;
+                let reasonText = null;
+
+                if ($(reasonSelector).length) {
+                    // The reason may be empty or carry only a <text>
+                    const condition = $(reasonSelector).children(':not(text)')[0];
+
+                    reasonCondition = condition ? condition.tagName : null;
+                    reasonText = $(reasonSelector).find('>text').text();
+                }
+                this.terminate(sess.sid, reasonCondition, reasonText);
+                this.eventEmitter.emit('xmpp.callended.jingle', sess, reasonCondition, reasonText);
+                break;
+            }
+            default:
+                ack.attrs({ type: 'error' });
+                ack.c('error', { type: 'cancel' })
+                    .c('bad-request',
+                        { xmlns: 'urn:ietf:params:xml:ns:xmpp-stanzas' })
+                    .up();
+                break;
         }
         this.connection.send(ack);
 
         return true;
     }
 
+    /**
+     * Creates new <tt>JingleSessionPC</tt> meant to be used in a direct P2P
+     * connection, configured as 'initiator'.
+     * @param {string} me our JID
+     * @param {string} peer remote participant's JID
+     * @return {JingleSessionPC}
+     */
+    newP2PJingleSession(me, peer) {
+        const sess
+            = new JingleSessionPC(
+                RandomUtil.randomHexString(12),
+                me,
+                peer,
+                this.connection,
+                this.mediaConstraints,
+                JSON.parse(JSON.stringify(this.p2pIceConfig)),
+                /* P2P */ true,
+                /* initiator */ true);
+
+        this.sessions[sess.sid] = sess;
+
+        return sess;
+    }
+
+    /**
+     * Forgets the session with the given id. If the session hasn't ended yet
+     * it's notified that it has been terminated.
+     * @param sid
+     * @param reasonCondition
+     * @param reasonText
+     */
+    terminate(sid, reasonCondition, reasonText) {
+        if (this.sessions.hasOwnProperty(sid)) {
+            if (this.sessions[sid].state !== JingleSessionState.ENDED) {
+                this.sessions[sid].onTerminated(reasonCondition, reasonText);
+            }
+            delete this.sessions[sid];
+        }
+    }
+
 }
 
 /* eslint-enable newline-per-chained-call */
@@ -0,0 +1,118 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
+import { $iq, Strophe } from 'strophe.js';
+
+import ConnectionPlugin from './ConnectionPlugin';
+
+const logger = getLogger(__filename);
+
+/**
+ * Default ping every 10 sec
+ */
+const PING_DEFAULT_INTERVAL = 10000;
+
+/**
+ * Default ping timeout error after 5 sec of waiting.
+ */
+const PING_DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Default value for how many ping failures will be tolerated before the WebSocket connection is killed.
+ * The worst case scenario in case of ping timing out without a response is (25 seconds at the time of this writing):
+ * PING_THRESHOLD * PING_INTERVAL + PING_TIMEOUT
+ */
+const PING_DEFAULT_THRESHOLD = 2;
+
+/**
+ * XEP-0199 ping plugin.
+ *
+ * Registers "urn:xmpp:ping" namespace under Strophe.NS.PING.
+ */
+export default class PingConnectionPlugin extends ConnectionPlugin {
+    /**
+     * Constructs new object
+     * @param {Object} options
+     * @param {Function} options.onPingThresholdExceeded - Callback called when ping fails too many times (controlled
+     * by the {@link PING_THRESHOLD} constant).
+     * @param {Object} options.pingOptions - The ping options if any.
+     * @param {number} [options.pingOptions.interval=10000] - How often (in ms) the server is pinged.
+     * @param {number} [options.pingOptions.timeout=5000] - How long (in ms) to wait for the ping response.
+     * @param {number} [options.pingOptions.threshold=2] - How many ping failures in a row will be tolerated.
+     * @constructor
+     */
+    constructor({ onPingThresholdExceeded, pingOptions = {} }) {
+        super();
+        this.failedPings = 0;
+        this._onPingThresholdExceeded = onPingThresholdExceeded;
+        this.pingInterval = typeof pingOptions.interval === 'number' ? pingOptions.interval : PING_DEFAULT_INTERVAL;
+        this.pingTimeout = typeof pingOptions.timeout === 'number' ? pingOptions.timeout : PING_DEFAULT_TIMEOUT;
+        this.pingThreshold = typeof pingOptions.threshold === 'number'
+            ? pingOptions.threshold : PING_DEFAULT_THRESHOLD;
+    }
+
+    /**
+     * Initializes the plugin. Method called by Strophe.
+     * @param connection Strophe connection instance.
+     */
+    init(connection) {
+        super.init(connection);
+        Strophe.addNamespace('PING', 'urn:xmpp:ping');
+    }
+
+    /**
+     * Sends "ping" to given <tt>jid</tt>
+     * @param jid the JID to which ping request will be sent.
+     * @param success callback called on success.
+     * @param error callback called on error.
+     * @param timeout ms how long are we going to wait for the response. On
+     * timeout <tt>error<//t> callback is called with undefined error argument.
+     */
+    ping(jid, success, error, timeout) {
+        const iq = $iq({
+            type: 'get',
+            to: jid
+        });
+
+        iq.c('ping', { xmlns: Strophe.NS.PING });
+        this.connection.sendIQ2(iq, { timeout })
+            .then(success, error);
+    }
+
+    /**
+     * Starts to send ping in given interval to specified remote JID.
+     * This plugin supports only one such task and <tt>stopInterval</tt>
+     * must be called before starting a new one.
+     * @param remoteJid remote JID to which ping requests will be sent to.
+     */
+    startInterval(remoteJid) {
+        clearInterval(this.intervalId);
+        this.intervalId = setInterval(() => {
+            this.ping(remoteJid, () => {
+                this.failedPings = 0;
+            }, error => {
+                this.failedPings += 1;
+                const errmsg = `Ping ${error ? 'error' : 'timeout'}`;
+
+                if (this.failedPings >= this.pingThreshold) {
+                    logger.error(errmsg, error);
+                    this._onPingThresholdExceeded && this._onPingThresholdExceeded();
+                } else {
+                    logger.warn(errmsg, error);
+                }
+            }, this.pingTimeout);
+        }, this.pingInterval);
+        logger.info(`XMPP pings will be sent every ${this.pingInterval} ms`);
+    }
+
+    /**
+     * Stops current "ping"  interval task.
+     */
+    stopInterval() {
+        if (this.intervalId) {
+            clearInterval(this.intervalId);
+            this.intervalId = null;
+            this.failedPings = 0;
+            logger.info('Ping interval cleared');
+        }
+    }
+}
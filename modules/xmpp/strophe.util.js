@@ -1,6 +1,44 @@
 import { Strophe } from 'strophe.js';
 
+/**
+ * The HTTP status code of the last failed BOSH request.
+ * @type {number}
+ */
+let lastErrorStatus = -1;
+
+/**
+ * Returns the HTTP status code of the last failed BOSH request or -1 if no
+ * request has failed yet.
+ *
+ * @returns {number}
+ */
+function getLastErrorStatus() {
+    return lastErrorStatus;
+}
+
+/**
+ * Whether {@code Strophe.Bosh.prototype._hitError} has been wrapped already.
+ * The plugins are initialized by every XMPP instance, but the prototype must be
+ * patched only once.
+ * @type {boolean}
+ */
+let hitErrorPatched = false;
+
 export default function() {
+    Strophe.getLastErrorStatus = getLastErrorStatus;
+
+    // Remember the HTTP status of the failed BOSH requests, so that it's
+    // possible to tell a server failure from a dropped connection.
+    if (!hitErrorPatched) {
+        const hitError = Strophe.Bosh.prototype._hitError;
+
+        Strophe.Bosh.prototype._hitError = function(reqStatus) {
+            lastErrorStatus = reqStatus;
+            hitError.call(this, reqStatus);
+        };
+        hitErrorPatched = true;
+    }
+
     Strophe.getStatusString = function(status) {
         switch (status) {
         case Strophe.Status.BINDREQUIRED:
@@ -1,6 +1,10 @@
+/* global __filename */
+import { getLogger } from 'jitsi-meet-logger';
 import { Strophe } from 'strophe.js';
 import 'strophejs-plugin-disco';
 
+import * as JitsiConnectionErrors from '../../JitsiConnectionErrors';
+import * as JitsiConnectionEvents from '../../JitsiConnectionEvents';
 import Listenable from '../util/Listenable';
 import RandomUtil from '../util/RandomUtil';
 
@@ -10,8 +14,87 @@ import MucConnectionPlugin from './strophe.emuc';
 import JingleConnectionPlugin from './strophe.jingle';
 import initStropheUtil from './strophe.util';
 
-function createConnection({serviceUrl = '/http-bind'}) {
-    return new XmppConnection({serviceUrl});
+const logger = getLogger(__filename);
+
+/**
+ * The Strophe SASL mechanisms which can be selected with the
+ * {@code saslMechanisms} option, by name.
+ */
+const SASL_MECHANISMS = {
+    'ANONYMOUS': Strophe.SASLAnonymous,
+    'PLAIN': Strophe.SASLPlain,
+    'SCRAM-SHA-1': Strophe.SASLSHA1
+};
+
+/**
+ * Maps the names of the SASL mechanisms to the Strophe mechanism classes.
+ *
+ * @param {Array<string>} [names] - The names of the mechanisms, for example
+ * {@code ['SCRAM-SHA-1', 'PLAIN']}.
+ * @returns {Array<Function>|undefined} - The mechanism classes or
+ * {@code undefined} when no names were given, which leaves Strophe with its
+ * default mechanisms.
+ */
+function getSASLMechanisms(names) {
+    if (!Array.isArray(names) || !names.length) {
+        return undefined;
+    }
+
+    return names.map(name => {
+        const mechanism = SASL_MECHANISMS[name.toUpperCase()];
+
+        if (!mechanism) {
+            throw new Error(`Unsupported SASL mechanism: ${name}`);
+        }
+
+        return mechanism;
+    });
+}
+
+/**
+ * Creates XMPP connection.
+ *
+ * @param {Object} options
+ * @param {string} [options.serviceUrl] - The service URL for XMPP connection.
+ * @param {boolean} [options.enableWebsocketResume] - Whether or not the
+ * WebSocket connection is to be resumed with XEP-0198 when it drops.
+ * @param {number} [options.websocketKeepAlive] - The websocket keep alive
+ * interval (in ms), -1 to disable.
+ * @param {string} [options.websocketKeepAliveUrl] - The websocket keep alive
+ * url to use instead of the service URL.
+ * @param {Object} [options.xmppPing] - The xmpp ping settings.
+ * @param {string} [options.shard] - The shard the connection is expected to be
+ * served by.
+ * @param {string} [options.token] - The JWT token appended to the service URL.
+ * @param {Array<string>} [options.saslMechanisms] - The names of the SASL
+ * mechanisms the connection is allowed to use.
+ * @returns {XmppConnection}
+ */
+function createConnection({
+    enableWebsocketResume,
+    saslMechanisms,
+    serviceUrl = '/http-bind',
+    shard,
+    token,
+    websocketKeepAlive,
+    websocketKeepAliveUrl,
+    xmppPing
+}) {
+    // Append token as URL param
+    if (token) {
+        // eslint-disable-next-line no-param-reassign
+        serviceUrl += `${serviceUrl.indexOf('?') === -1 ? '?' : '&'}token=${encodeURIComponent(token)}`;
+    }
+
+    return new XmppConnection({
+        enableWebsocketResume,
+        mechanisms: getSASLMechanisms(saslMechanisms),
+        serviceUrl,
+        shard,
+        websocketKeepAlive,
+        websocketKeepAliveUrl,
+        xmppPing
+    });
 }
 
 /**
@@ -43,21 +126,70 @@ export default class XMPP extends Listenable {
      * @param {String} options.serviceUrl - URL passed to the XMPP client which will be used to establish XMPP
      * connection with the server.
      * @param {String} options.bosh - Deprecated, use {@code serviceUrl}.
+     * @param {boolean} [options.enableWebsocketResume=true] - Whether or not
+     * the WebSocket connection is to be resumed (with XEP-0198 stream
+     * management) when it drops, which preserves the MUC and the conference.
+     * @param {number} [options.websocketKeepAlive=60000] - The interval (plus
+     * up to a minute of jitter) of the HTTP GET keep-alive sent while the
+     * WebSocket is used. Pass -1 to disable.
+     * @param {string} [options.websocketKeepAliveUrl] - The keep-alive URL, the
+     * service URL is used if missing.
+     * @param {Object} [options.xmppPing] - The XEP-0199 ping settings
+     * ({@code interval}, {@code timeout} and {@code threshold}).
+     * @param {Array<string>} [options.saslMechanisms] - The SASL mechanisms
+     * the connection is allowed to authenticate with, any of 'PLAIN',
+     * 'SCRAM-SHA-1' and 'ANONYMOUS'. All of them are allowed by default.
+     * @param {Object} options.hosts - The XMPP domains.
+     * @param {string} options.hosts.domain - The domain of the authenticated
+     * users.
+     * @param {string} [options.hosts.anonymousdomain] - The domain used for the
+     * anonymous login, unless a password or a token is used.
+     * @param {Object} [options.deploymentInfo] - The deployment details.
+     * @param {string} [options.deploymentInfo.shard] - The shard the
+     * connection is expected to be served by. The connection fails with
+     * 'connection.shardChanged' when the server reports a different one.
+     * @param {string} [token] - The JWT token used to authenticate with the
+     * server.
      */
-    constructor(options) {
+    constructor(options, token) {
         super();
         this.connection = null;
         this.options = options;
-        this.authenticatedUser = false;
+        this.token = token;
+
+        /**
+         * The identity (bare JID) the connection has been authenticated with,
+         * using a password or a token, or <tt>null</tt> for an anonymous login.
+         * @type {string|null}
+         */
+        this.authenticatedUser = null;
 
-        // initStropheNativePlugins();
+        initStropheNativePlugins();
         console.log("4444444444: ", options)
 
         this.connection = createConnection({
+            enableWebsocketResume: options.enableWebsocketResume,
+            saslMechanisms: options.saslMechanisms,
             serviceUrl: options.serviceUrl || options.bosh,
+            shard: options.deploymentInfo && options.deploymentInfo.shard,
+            token,
+            websocketKeepAlive: options.websocketKeepAlive,
+            websocketKeepAliveUrl: options.websocketKeepAliveUrl,
+            xmppPing: options.xmppPing
         });
 
         this._initStrophePlugins();
+
+        // The MUC state is gone when the shard changes, so the conference has
+        // to be joined again
+        this.connection.addEventListener(
+            XmppConnection.Events.CONN_SHARD_CHANGED,
+            shard => {
+                this.eventEmitter.emit(
+                    JitsiConnectionEvents.CONNECTION_FAILED,
+                    JitsiConnectionErrors.SHARD_CHANGED_ERROR,
+                    `Shard changed to ${shard}`);
+            });
         console.log("--this.connection---:", this.connection)
         console.log("--this.connection---:", this.connection.disco)
 
@@ -92,6 +224,25 @@ export default class XMPP extends Listenable {
 
     }
 
+    /**
+     * Queries the identities of the XMPP domain to find out which of the
+     * optional server components (e.g. the lobby) are available.
+     * @private
+     */
+    _discoverServerFeatures() {
+        this.caps.getFeaturesAndIdentities(this.options.hosts.domain)
+            .then(({ identities }) => {
+                identities.forEach(identity => {
+                    if (identity.type === 'lobbyrooms') {
+                        this.lobbySupported = true;
+                    }
+                });
+            })
+            .catch(error => {
+                logger.warn('Failed to discover the server features', error);
+            });
+    }
+
     /**
      * Receive connection status changes and handles them.
      *
@@ -105,8 +256,17 @@ export default class XMPP extends Listenable {
      */
     connectionHandler(credentials = {}, status, msg) {
         console.log("----------Call back xmpp connection---------:", Strophe.Status.CONNECTED, status)
+        this.eventEmitter.emit('xmpp.connection.status.changed', credentials, status, msg);
         if (status === Strophe.Status.CONNECTED || status === Strophe.Status.ATTACHED) {
             // XmppConnection emits CONNECTED again on reconnect - a good opportunity to clear any "last error" flags
+            this.connectionFailed = false;
+            this.lastErrorMsg = undefined;
+
+            if (credentials.password || this.token) {
+                this.authenticatedUser
+                    = Strophe.getBareJidFromJid(this.connection.jid);
+            }
+
             // make sure we don't query again
             this.sendDiscoInfo = false;
 
@@ -115,9 +275,79 @@ export default class XMPP extends Listenable {
                 // .connected is true while connecting?
                 // this.connection.send($pres());
                 console.log("----------JID RESOURCE---------:", this.connection.jid)
-                this.eventEmitter.emit('connection.connectionEstablished',Strophe.getResourceFromJid(this.connection.jid));
+                if (this._connectionEstablished) {
+                    // The stream has been resumed, the MUC and the conference
+                    // are still there
+                    logger.info('XMPP connection resumed');
+                } else {
+                    this._connectionEstablished = true;
+                    this._discoverServerFeatures();
+                    this.eventEmitter.emit('connection.connectionEstablished',Strophe.getResourceFromJid(this.connection.jid));
+                }
+            }
+        } else if (status === Strophe.Status.CONNFAIL) {
+            if (msg === 'x-strophe-bad-non-anon-jid') {
+                this.anonymousConnectionFailed = true;
+            } else {
+                this.connectionFailed = true;
+            }
+            this.lastErrorMsg = msg;
+            if (msg === 'giving-up') {
+                this.eventEmitter.emit(
+                    JitsiConnectionEvents.CONNECTION_FAILED,
+                    JitsiConnectionErrors.OTHER_ERROR, msg);
+            }
+        } else if (status === Strophe.Status.ERROR) {
+            this.lastErrorMsg = msg;
+        } else if (status === Strophe.Status.DISCONNECTED) {
+            const wasIntentionalDisconnect = Boolean(this.disconnectInProgress);
+            const errMsg = msg || this.lastErrorMsg;
+
+            this.disconnectInProgress = undefined;
+            this._connectionEstablished = false;
+
+            if (this.anonymousConnectionFailed) {
+                // prompt user for username and password
+                this.eventEmitter.emit(
+                    JitsiConnectionEvents.CONNECTION_FAILED,
+                    JitsiConnectionErrors.PASSWORD_REQUIRED);
+            } else if (this.connectionFailed) {
+                this.eventEmitter.emit(
+                    JitsiConnectionEvents.CONNECTION_FAILED,
+                    JitsiConnectionErrors.OTHER_ERROR,
+                    errMsg);
+            } else if (wasIntentionalDisconnect) {
+                this.eventEmitter.emit(
+                    JitsiConnectionEvents.CONNECTION_DISCONNECTED, errMsg);
+            } else {
+                // XXX if Strophe drops the connection while not being asked
+                // to, it means that the connection has failed.
+                logger.error('XMPP connection dropped!');
+
+                // XXX if the last request error is within 5xx range it means
+                // it was a server failure
+                const lastErrorStatus = Strophe.getLastErrorStatus();
+
+                if (lastErrorStatus >= 500 && lastErrorStatus < 600) {
+                    this.eventEmitter.emit(
+                        JitsiConnectionEvents.CONNECTION_FAILED,
+                        JitsiConnectionErrors.SERVER_ERROR,
+                        errMsg || 'server-error');
+                } else {
+                    this.eventEmitter.emit(
+                        JitsiConnectionEvents.CONNECTION_FAILED,
+                        JitsiConnectionErrors.OTHER_ERROR,
+                        errMsg || 'connection-dropped-error');
+                }
             }
-        } 
+        } else if (status === Strophe.Status.AUTHFAIL) {
+            // wrong password or username, prompt user
+            this.eventEmitter.emit(
+                JitsiConnectionEvents.CONNECTION_FAILED,
+                JitsiConnectionErrors.PASSWORD_REQUIRED,
+                msg,
+                credentials);
+        }
     }
 
     /**
@@ -156,6 +386,12 @@ export default class XMPP extends Listenable {
         // we want to send this only on the initial connect
         this.sendDiscoInfo = true;
 
+        this.anonymousConnectionFailed = false;
+        this.authenticatedUser = null;
+        this.connectionFailed = false;
+        this.lastErrorMsg = undefined;
+        this._connectionEstablished = false;
+
         this.connection.connect(
             jid,
             password,
@@ -167,17 +403,59 @@ export default class XMPP extends Listenable {
 
 
     /**
+     * Connects to the XMPP server. Without a password (and a token) the
+     * server is expected to offer the ANONYMOUS SASL mechanism.
      *
-     * @param jid
-     * @param password
+     * @param {string} [jid] - The JID (or the domain) to log in with, defaults
+     * to the anonymous domain or the domain from {@code options.hosts}.
+     * @param {string} [password] - The password for the JID.
      */
     connect(jid, password) {
         if (!jid) {
-            jid = this.options.hosts.domain;
+            const { anonymousdomain, domain } = this.options.hosts;
+
+            // Use the anonymous domain unless we're logging in with a password
+            // or joining with the token
+            jid = anonymousdomain && !password && !this.token ? anonymousdomain : domain;
         }
+
         return this._connect(jid, password);
     }
 
+    /**
+     * Disconnects this from the XMPP server (if this is connected).
+     *
+     * @returns {Promise} - Resolves when the disconnect process is finished or
+     * rejects with an error.
+     */
+    disconnect() {
+        if (this.disconnectInProgress) {
+            return this.disconnectInProgress;
+        } else if (!this.connection) {
+            return Promise.resolve();
+        }
+
+        this.disconnectInProgress = new Promise(resolve => {
+            const disconnectListener = (credentials, status) => {
+                if (status === Strophe.Status.DISCONNECTED) {
+                    resolve();
+                    this.eventEmitter.removeListener(
+                        'xmpp.connection.status.changed', disconnectListener);
+                }
+            };
+
+            this.eventEmitter.on(
+                'xmpp.connection.status.changed', disconnectListener);
+        });
+
+        // Send any pending stanzas (e.g. the unavailable presence of the MUC)
+        // before closing the connection.
+        this.connection.flush();
+        this.connection.disconnect();
+
+        return this.disconnectInProgress;
+    }
+
     /**
      * Joins or creates a muc with the provided jid, created from the passed
      * in room name and muc host and onCreateResource result.
@@ -199,6 +477,37 @@ export default class XMPP extends Listenable {
         return this.connection.emuc.createRoom(roomjid, null, options);
     }
 
+    /**
+     * Attempts to parse a JSON string, and verifies that it carries the
+     * {@link JITSI_MEET_MUC_TYPE} key.
+     * @param {string} jsonString check if this string is a valid json string
+     * and contains the special structure.
+     * @returns {boolean|Object} the parsed object if the string is a valid
+     * json-message or <tt>false</tt> otherwise.
+     */
+    tryParseJSONAndVerify(jsonString) {
+        // ignore empty strings, like message errors
+        if (!jsonString) {
+            return false;
+        }
+
+        try {
+            const json = JSON.parse(jsonString);
+
+            // Neither JSON.parse(false) or JSON.parse(1234) throw errors, hence
+            // the type-checking, but JSON.parse(null) returns null and
+            // typeof null === "object", so we must check for that, too.
+            if (json && typeof json === 'object'
+                    && typeof json[JITSI_MEET_MUC_TYPE] !== 'undefined') {
+                return json;
+            }
+        } catch (e) {
+            return false;
+        }
+
+        return false;
+    }
+
     _initStrophePlugins() {
         const iceConfig = {
             jvb: { iceServers: [ ] },